@@ -0,0 +1,29 @@
+/**
+ * admin.js — Token authentication for the admin API (/api/admin/*).
+ *
+ * The admin API is off unless ADMIN_TOKEN is set. Requests carry the token
+ * as `Authorization: Bearer <token>`; it is compared in constant time.
+ */
+
+import { createHash, timingSafeEqual } from 'crypto';
+
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN || '';
+
+function digest(value) {
+  return createHash('sha256').update(value).digest();
+}
+
+/**
+ * Check an admin request's credentials.
+ * @param {import('express').Request} req
+ * @returns {{ok: boolean, status?: number, error?: string}}
+ */
+export function verifyAdmin(req) {
+  if (!ADMIN_TOKEN) return { ok: false, status: 503, error: 'Admin API is disabled, set ADMIN_TOKEN to enable it' };
+  const match = (req.get('Authorization') || '').match(/^Bearer\s+(.+)$/i);
+  // Hash both sides so the comparison doesn't leak the token's length
+  if (!match || !timingSafeEqual(digest(match[1].trim()), digest(ADMIN_TOKEN))) {
+    return { ok: false, status: 401, error: 'Invalid or missing admin token' };
+  }
+  return { ok: true };
+}
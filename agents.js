@@ -0,0 +1,161 @@
+/**
+ * agents.js — Probe agent registry and request signing.
+ *
+ * Remote probe agents (probe-agent.js) run from other vantage points and
+ * talk to the central server over /api/agent/*. Each agent is configured
+ * in data/agents.json (or AGENTS_FILE) with a shared secret:
+ *
+ *   [
+ *     { "id": "eu-west", "secret": "..." },
+ *     { "id": "us-east", "secret": "..." }
+ *   ]
+ *
+ * Every agent request is signed like a webhook payload, with the method
+ * and path bound in so a signature can't be replayed elsewhere:
+ *
+ *   X-Mcpdd-Agent: <id>
+ *   X-Mcpdd-Timestamp: <unix seconds>
+ *   X-Mcpdd-Signature: sha256=HMAC_SHA256(secret, `${timestamp}.${METHOD} ${path}.${body}`)
+ *
+ * Requests more than five minutes off the server clock, and signatures
+ * already seen within that window, are rejected.
+ */
+
+import { readFileSync, existsSync } from 'fs';
+import { createHmac, timingSafeEqual } from 'crypto';
+
+const MAX_CLOCK_SKEW_S = 5 * 60;
+
+// id → { id, secret }
+let agents = new Map();
+// id → { lastSeenAt, lastAssignmentAt, lastResultsAt, resultsAccepted, resultsRejected }
+const activity = new Map();
+// signature → expiry (unix seconds), for replay protection
+const seenSignatures = new Map();
+
+/**
+ * Load agent definitions from a JSON file. Invalid entries are skipped.
+ * @param {string} file
+ * @param {string[]} [reservedIds] - Vantage names agents may not use (the server's own)
+ */
+export function loadAgents(file, reservedIds = []) {
+  const next = new Map();
+  if (existsSync(file)) {
+    try {
+      const data = JSON.parse(readFileSync(file, 'utf-8'));
+      for (const entry of data) {
+        if (!entry.id || typeof entry.secret !== 'string' || entry.secret.length < 16) {
+          console.error(`Skipping agent ${entry.id || '(no id)'}: needs an id and a secret of at least 16 characters`);
+          continue;
+        }
+        if (reservedIds.includes(entry.id)) {
+          console.error(`Skipping agent ${entry.id}: the id is reserved for this server's own probes`);
+          continue;
+        }
+        next.set(entry.id, { id: entry.id, secret: entry.secret });
+      }
+      console.log(`Loaded ${next.size} probe agent(s) from ${file}`);
+    } catch (err) {
+      // Parse errors can quote file content; don't echo them
+      console.error(`Failed to load agents file ${file}: ${err.name}`);
+    }
+  }
+  agents = next;
+}
+
+export function hasAgents() {
+  return agents.size > 0;
+}
+
+function sign(secret, timestamp, method, path, body) {
+  return createHmac('sha256', secret).update(`${timestamp}.${method.toUpperCase()} ${path}.${body}`).digest('hex');
+}
+
+/**
+ * Headers for a signed agent request.
+ * @param {string} id - Agent id
+ * @param {string} secret
+ * @param {string} method - HTTP method
+ * @param {string} path - Request path including any query string
+ * @param {string} [body]
+ */
+export function signRequest(id, secret, method, path, body = '') {
+  const timestamp = Math.floor(Date.now() / 1000).toString();
+  return {
+    'X-Mcpdd-Agent': id,
+    'X-Mcpdd-Timestamp': timestamp,
+    'X-Mcpdd-Signature': `sha256=${sign(secret, timestamp, method, path, body)}`,
+  };
+}
+
+function pruneSignatures(now) {
+  for (const [signature, expiresAt] of seenSignatures) {
+    if (expiresAt < now) seenSignatures.delete(signature);
+  }
+}
+
+/**
+ * Check an incoming agent request's signature.
+ * @param {import('express').Request} req - Needs req.rawBody for requests with a body
+ * @returns {{agent: string|null, error: string|null}}
+ */
+export function verifyRequest(req) {
+  const id = req.get('X-Mcpdd-Agent');
+  const timestamp = req.get('X-Mcpdd-Timestamp');
+  const signature = req.get('X-Mcpdd-Signature');
+  if (!id || !timestamp || !signature) return { agent: null, error: 'missing agent signature headers' };
+
+  const agent = agents.get(id);
+  if (!agent) return { agent: null, error: 'unknown agent' };
+
+  const now = Math.floor(Date.now() / 1000);
+  const ts = parseInt(timestamp);
+  if (!Number.isFinite(ts) || Math.abs(now - ts) > MAX_CLOCK_SKEW_S) {
+    return { agent: null, error: 'timestamp outside the allowed clock skew' };
+  }
+
+  const body = req.rawBody ? req.rawBody.toString('utf-8') : '';
+  const expected = Buffer.from(`sha256=${sign(agent.secret, timestamp, req.method, req.originalUrl, body)}`);
+  const given = Buffer.from(signature);
+  if (given.length !== expected.length || !timingSafeEqual(given, expected)) {
+    return { agent: null, error: 'bad signature' };
+  }
+
+  pruneSignatures(now);
+  if (seenSignatures.has(signature)) return { agent: null, error: 'replayed request' };
+  seenSignatures.set(signature, ts + MAX_CLOCK_SKEW_S);
+
+  noteActivity(id, { lastSeenAt: Date.now() });
+  return { agent: id, error: null };
+}
+
+/**
+ * Update an agent's activity counters.
+ * @param {string} id
+ * @param {Object} fields - Timestamps to set and { accepted, rejected } counts to add
+ */
+export function noteActivity(id, { accepted = 0, rejected = 0, ...timestamps }) {
+  const entry = activity.get(id) || {
+    lastSeenAt: null, lastAssignmentAt: null, lastResultsAt: null, resultsAccepted: 0, resultsRejected: 0,
+  };
+  Object.assign(entry, timestamps);
+  entry.resultsAccepted += accepted;
+  entry.resultsRejected += rejected;
+  activity.set(id, entry);
+}
+
+/** Configured agents and their activity, without secrets. */
+export function listAgents() {
+  return [...agents.keys()].map(id => {
+    const entry = activity.get(id) || {};
+    const iso = t => (t ? new Date(t).toISOString() : null);
+    return {
+      id,
+      lastSeenAt: iso(entry.lastSeenAt),
+      lastAssignmentAt: iso(entry.lastAssignmentAt),
+      lastResultsAt: iso(entry.lastResultsAt),
+      resultsAccepted: entry.resultsAccepted || 0,
+      resultsRejected: entry.resultsRejected || 0,
+    };
+  });
+}
@@ -0,0 +1,130 @@
+/**
+ * aggregates.js — Incremental 24h aggregates per remote.
+ *
+ * The dashboard shows each remote's last 24 hours as hourly ticks and its
+ * 24h uptime. Rather than scanning the raw check array on every request,
+ * each recorded check is folded into its clock-hour bucket (worst status,
+ * transient failure count) and into running uptime counters; server.js
+ * takes checks back out of the counters as it trims them from the raw
+ * history, so the counters always cover exactly the checks it holds.
+ *
+ * Checks recorded during a maintenance window (check.maintenance) are left
+ * out of uptime and of the hour's status. An hour with only such checks is
+ * a 'maintenance' tick.
+ *
+ * Ticks are clock-aligned: the last tick is the current, partial hour.
+ */
+
+import { STATUS_PRIORITY } from './policy.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+export const TICK_HOURS = 24;
+
+// Keyed by the same "registryName|url" key as the raw history:
+// { total, nonDown, hours: [{ start, status, checks, transient, maintenance }] } with hours oldest first
+const aggregates = new Map();
+
+function worse(a, b) {
+  return (STATUS_PRIORITY[b] ?? STATUS_PRIORITY.unknown) < (STATUS_PRIORITY[a] ?? STATUS_PRIORITY.unknown) ? b : a;
+}
+
+function emptyBucket(start) {
+  return { start, status: 'unknown', checks: 0, transient: 0, maintenance: 0 };
+}
+
+function bucketFor(hours, start) {
+  for (let i = hours.length - 1; i >= 0; i--) {
+    if (hours[i].start === start) return hours[i];
+    if (hours[i].start < start) {
+      const bucket = emptyBucket(start);
+      hours.splice(i + 1, 0, bucket);
+      return bucket;
+    }
+  }
+  const bucket = emptyBucket(start);
+  hours.unshift(bucket);
+  return bucket;
+}
+
+function firstTickStart(now) {
+  return now - (now % HOUR_MS) - (TICK_HOURS - 1) * HOUR_MS;
+}
+
+/**
+ * Fold a recorded CheckResult into a remote's aggregates.
+ * @param {string} key - History key ("registryName|url")
+ * @param {Object} check
+ */
+export function recordAggregate(key, check) {
+  let entry = aggregates.get(key);
+  if (!entry) {
+    entry = { total: 0, nonDown: 0, hours: [] };
+    aggregates.set(key, entry);
+  }
+  if (!check.maintenance) {
+    entry.total++;
+    if (check.status !== 'down') entry.nonDown++;
+  }
+
+  const cutoff = firstTickStart(Date.now());
+  const ts = check.timestamp;
+  if (ts >= cutoff) {
+    const bucket = bucketFor(entry.hours, ts - (ts % HOUR_MS));
+    if (check.maintenance) {
+      bucket.maintenance++;
+    } else {
+      bucket.checks++;
+      bucket.status = worse(bucket.status, check.status);
+      // Failures a confirmation probe overturned don't count against the hour, but stay visible
+      if (check.confirmation?.verdict === 'transient') bucket.transient++;
+    }
+  }
+  while (entry.hours.length > 0 && entry.hours[0].start < cutoff) entry.hours.shift();
+}
+
+/** Take a check that was trimmed from the raw history back out of the uptime counters. */
+export function forgetAggregate(key, check) {
+  const entry = aggregates.get(key);
+  if (!entry || check.maintenance) return;
+  entry.total--;
+  if (check.status !== 'down') entry.nonDown--;
+}
+
+/** Drop the aggregates of a remote that is no longer monitored. */
+export function retireAggregates(key) {
+  aggregates.delete(key);
+}
+
+/**
+ * 24h uptime of a remote: the share of its checks that weren't down.
+ * @returns {number|null} percent with two decimals; null before its first check
+ */
+export function aggregateUptime(key) {
+  const entry = aggregates.get(key);
+  if (!entry || entry.total === 0) return null;
+  return Math.round((entry.nonDown / entry.total) * 10000) / 100;
+}
+
+/**
+ * A remote's last 24 clock hours, oldest first.
+ * @returns {Object[]} { status, transient?, maintenance? }; hours without checks are 'unknown'
+ */
+export function hourlyTicks(key, now = Date.now()) {
+  const hours = aggregates.get(key)?.hours || [];
+  const byStart = new Map(hours.map(h => [h.start, h]));
+  const first = firstTickStart(now);
+  const ticks = [];
+  for (let i = 0; i < TICK_HOURS; i++) {
+    const bucket = byStart.get(first + i * HOUR_MS);
+    if (!bucket) {
+      ticks.push({ status: 'unknown' });
+    } else {
+      ticks.push({
+        status: bucket.checks === 0 && bucket.maintenance > 0 ? 'maintenance' : bucket.status,
+        ...(bucket.transient ? { transient: bucket.transient } : {}),
+        ...(bucket.maintenance ? { maintenance: bucket.maintenance } : {}),
+      });
+    }
+  }
+  return ticks;
+}
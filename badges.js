@@ -0,0 +1,126 @@
+/**
+ * badges.js — Shields-style SVG status badges.
+ *
+ * /badge/:registryName.svg renders a provider's aggregate status and 24h
+ * uptime; ?type=uptime|latency|tools picks a single-metric variant. The
+ * layout follows shields.io's "flat" style (gray label, colored message,
+ * Verdana 11px) so the badges sit well next to other README badges.
+ * Text width is estimated from a small Verdana width table, since there
+ * is no font rendering on the server.
+ */
+
+export const BADGE_TYPES = ['status', 'uptime', 'latency', 'tools'];
+
+const COLORS = {
+  brightgreen: '#4c1',
+  green: '#97ca00',
+  yellow: '#dfb317',
+  orange: '#fe7d37',
+  red: '#e05d44',
+  purple: '#8957e5',
+  blue: '#007ec6',
+  gray: '#9f9f9f',
+  label: '#555',
+};
+
+const STATUS_COLORS = {
+  healthy: 'brightgreen',
+  degraded: 'yellow',
+  unhealthy: 'orange',
+  down: 'red',
+  'rate-limited': 'purple',
+  unknown: 'gray',
+};
+
+// Verdana 11px advance widths for characters that differ much from the default
+const CHAR_WIDTHS = {
+  ' ': 3.9, '.': 3.9, ',': 3.9, ':': 4.7, ';': 4.7, '!': 4.7, '|': 4.7, "'": 3, '·': 4.7,
+  i: 3, l: 3, j: 3.8, f: 3.9, t: 4.3, r: 4.7, I: 4.6, J: 5.1,
+  m: 10.7, w: 9, M: 9.9, W: 11, '%': 11.8, '—': 11, '-': 4.9, '/': 4.9, '(': 4.7, ')': 4.7,
+};
+const DEFAULT_CHAR_WIDTH = 7;
+
+function textWidth(text) {
+  let width = 0;
+  for (const ch of text) width += CHAR_WIDTHS[ch] ?? (/[A-Z]/.test(ch) ? 7.6 : DEFAULT_CHAR_WIDTH);
+  return Math.round(width);
+}
+
+function escapeXml(value) {
+  return String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+/**
+ * Render a badge.
+ * @param {string} label - Left (gray) text
+ * @param {string} message - Right text
+ * @param {string} color - Key of COLORS
+ * @returns {string} SVG
+ */
+export function renderBadge(label, message, color) {
+  const labelWidth = textWidth(label) + 10;
+  const messageWidth = textWidth(message) + 10;
+  const width = labelWidth + messageWidth;
+  const fill = COLORS[color] || COLORS.gray;
+  const title = escapeXml(`${label}: ${message}`);
+  const text = (x, value) =>
+    `<text x="${x * 10}" y="150" fill="#010101" fill-opacity=".3" transform="scale(.1)">${escapeXml(value)}</text>` +
+    `<text x="${x * 10}" y="140" transform="scale(.1)">${escapeXml(value)}</text>`;
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="20" role="img" aria-label="${title}">` +
+    `<title>${title}</title>` +
+    '<linearGradient id="s" x2="0" y2="100%"><stop offset="0" stop-color="#bbb" stop-opacity=".1"/><stop offset="1" stop-opacity=".1"/></linearGradient>' +
+    `<clipPath id="r"><rect width="${width}" height="20" rx="3" fill="#fff"/></clipPath>` +
+    `<g clip-path="url(#r)"><rect width="${labelWidth}" height="20" fill="${COLORS.label}"/>` +
+    `<rect x="${labelWidth}" width="${messageWidth}" height="20" fill="${fill}"/>` +
+    `<rect width="${width}" height="20" fill="url(#s)"/></g>` +
+    '<g fill="#fff" text-anchor="middle" font-family="Verdana,Geneva,DejaVu Sans,sans-serif" text-rendering="geometricPrecision" font-size="110">' +
+    text(labelWidth / 2, label) +
+    text(labelWidth + messageWidth / 2, message) +
+    '</g></svg>';
+}
+
+function uptimeColor(percent) {
+  if (percent >= 99.9) return 'brightgreen';
+  if (percent >= 99) return 'green';
+  if (percent >= 95) return 'yellow';
+  if (percent >= 90) return 'orange';
+  return 'red';
+}
+
+function formatUptime(percent) {
+  return percent === null ? 'no data' : `${percent}%`;
+}
+
+/**
+ * Label, message and color for a badge.
+ *
+ * @param {string} type - One of BADGE_TYPES
+ * @param {Object|null} summary - buildProviderSummary() result; null for a provider not in the list
+ * @param {string|null} latencyStatus - Status of the worst latency's tier under the provider's policy
+ * @returns {{label: string, message: string, color: string}}
+ */
+export function badgeContent(type, summary, latencyStatus) {
+  if (!summary) return { label: type === 'status' ? 'mcp' : type, message: 'unknown', color: 'gray' };
+
+  if (type === 'uptime') {
+    const percent = summary.uptimePercent;
+    return { label: 'uptime 24h', message: formatUptime(percent), color: percent === null ? 'gray' : uptimeColor(percent) };
+  }
+  if (type === 'latency') {
+    const ms = summary.worstLatencyMs;
+    return {
+      label: 'latency',
+      message: ms === null ? 'no data' : `${ms}ms`,
+      color: ms === null ? 'gray' : STATUS_COLORS[latencyStatus] || 'gray',
+    };
+  }
+  if (type === 'tools') {
+    const counts = summary.remotes.map(r => r.toolCount).filter(n => n !== null && n !== undefined);
+    return { label: 'tools', message: counts.length > 0 ? String(Math.max(...counts)) : 'no data', color: counts.length > 0 ? 'blue' : 'gray' };
+  }
+
+  const status = summary.aggregateStatus;
+  const uptime = summary.uptimePercent !== null ? ` · ${summary.uptimePercent}%` : '';
+  return { label: 'mcp', message: `${status}${uptime}`, color: STATUS_COLORS[status] || 'gray' };
+}
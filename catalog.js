@@ -0,0 +1,178 @@
+/**
+ * catalog.js — Tool catalog snapshots and tool-level changelog per remote.
+ *
+ * The latest tools/list result (name, description, input schema) is kept
+ * per remote. Each new snapshot is diffed against the previous one and any
+ * added, removed or changed tools are recorded as a change entry, the same
+ * way computeChangelog() records registry changes. Both are persisted to
+ * data/tools.json; change entries are kept for 90 days.
+ */
+
+import { readFileSync, writeFileSync, mkdirSync, existsSync } from 'fs';
+import { dirname } from 'path';
+
+const RETENTION_MS = 90 * 24 * 60 * 60 * 1000;
+const MAX_CHANGES_PER_REMOTE = 200;
+const DIFF_FIELDS = ['description', 'inputSchema'];
+
+// Latest catalog keyed by "registryName|url": { registryName, url, updatedAt, tools }
+const catalogs = new Map();
+// Change entries keyed by "registryName|url", oldest first
+const changes = new Map();
+
+/** JSON with sorted object keys, so schemas compare equal regardless of key order. */
+function canonical(value) {
+  if (Array.isArray(value)) return `[${value.map(canonical).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(k => `${JSON.stringify(k)}:${canonical(value[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+function normalize(tool) {
+  return {
+    name: tool.name,
+    description: tool.description ?? null,
+    inputSchema: tool.inputSchema ?? null,
+  };
+}
+
+/**
+ * Diff two tool lists by name.
+ * @returns {{added: Object[], removed: Object[], changed: Object[]}}
+ */
+function diffTools(oldTools, newTools) {
+  const oldMap = new Map(oldTools.map(t => [t.name, t]));
+  const newMap = new Map(newTools.map(t => [t.name, t]));
+  const added = [];
+  const removed = [];
+  const changed = [];
+
+  for (const [name, tool] of newMap) {
+    const old = oldMap.get(name);
+    if (!old) {
+      added.push({ name, description: tool.description });
+      continue;
+    }
+    const fields = DIFF_FIELDS.filter(f => canonical(old[f]) !== canonical(tool[f]));
+    if (fields.length > 0) changed.push({ name, fields });
+  }
+  for (const [name, tool] of oldMap) {
+    if (!newMap.has(name)) removed.push({ name, description: tool.description });
+  }
+
+  return { added, removed, changed };
+}
+
+/**
+ * Record a tools/list result for a remote, diffing it against the last one.
+ * The first snapshot for a remote is a baseline and records no change.
+ *
+ * @param {string} registryName
+ * @param {string} url - Remote URL
+ * @param {Object[]} tools - Tool objects from tools/list
+ * @param {number} timestamp - Check timestamp
+ */
+export function recordTools(registryName, url, tools, timestamp) {
+  const key = `${registryName}|${url}`;
+  const next = tools.map(normalize).sort((a, b) => a.name.localeCompare(b.name));
+  const current = catalogs.get(key);
+
+  if (current) {
+    const diff = diffTools(current.tools, next);
+    if (diff.added.length === 0 && diff.removed.length === 0 && diff.changed.length === 0) {
+      current.checkedAt = timestamp;
+      return;
+    }
+
+    if (!changes.has(key)) changes.set(key, []);
+    const list = changes.get(key);
+    list.push({ timestamp, ...diff });
+    if (list.length > MAX_CHANGES_PER_REMOTE) list.shift();
+    console.log(
+      `  tools changed: ${registryName} (${url}) ` +
+      `+${diff.added.length} -${diff.removed.length} ~${diff.changed.length}`
+    );
+  }
+
+  catalogs.set(key, { registryName, url, updatedAt: timestamp, checkedAt: timestamp, tools: next });
+}
+
+/** Forget the catalog and changes for a remote that is no longer monitored. */
+export function retireCatalog(key) {
+  catalogs.delete(key);
+  changes.delete(key);
+}
+
+/**
+ * Latest tool catalog for a remote.
+ * @param {string} key - History key ("registryName|url")
+ * @returns {Object|null} { updatedAt, checkedAt, toolCount, tools } with ISO timestamps
+ */
+export function getCatalog(key) {
+  const catalog = catalogs.get(key);
+  if (!catalog) return null;
+  return {
+    updatedAt: new Date(catalog.updatedAt).toISOString(),
+    checkedAt: new Date(catalog.checkedAt).toISOString(),
+    toolCount: catalog.tools.length,
+    tools: catalog.tools,
+  };
+}
+
+/**
+ * Tool changes for a remote, newest first.
+ * @param {string} key - History key ("registryName|url")
+ */
+export function listToolChanges(key) {
+  const list = changes.get(key) || [];
+  return list.slice().reverse().map(c => ({
+    timestamp: new Date(c.timestamp).toISOString(),
+    added: c.added,
+    removed: c.removed,
+    changed: c.changed,
+  }));
+}
+
+// --- Persistence ---
+/**
+ * @param {string} file - Path to tools.json
+ * @param {(key: string) => boolean} keep - Whether a remote is still monitored
+ */
+export function loadCatalogs(file, keep) {
+  try {
+    if (existsSync(file)) {
+      const data = JSON.parse(readFileSync(file, 'utf-8'));
+      const cutoff = Date.now() - RETENTION_MS;
+      for (const [key, catalog] of Object.entries(data.catalogs || {})) {
+        if (keep(key)) catalogs.set(key, catalog);
+      }
+      for (const [key, list] of Object.entries(data.changes || {})) {
+        const kept = list.filter(c => c.timestamp > cutoff);
+        if (keep(key) && kept.length > 0) changes.set(key, kept);
+      }
+      console.log(`Loaded ${catalogs.size} tool catalogs from ${file}`);
+    }
+  } catch (err) {
+    console.error(`Failed to load tool catalogs: ${err.message}`);
+  }
+}
+
+export function persistCatalogs(file) {
+  try {
+    const cutoff = Date.now() - RETENTION_MS;
+    for (const [key, list] of changes) {
+      const kept = list.filter(c => c.timestamp > cutoff);
+      if (kept.length > 0) changes.set(key, kept);
+      else changes.delete(key);
+    }
+    mkdirSync(dirname(file), { recursive: true });
+    writeFileSync(file, JSON.stringify({
+      catalogs: Object.fromEntries(catalogs),
+      changes: Object.fromEntries(changes),
+    }));
+    console.log(`Persisted tool catalogs to ${file}`);
+  } catch (err) {
+    console.error(`Failed to persist tool catalogs: ${err.message}`);
+  }
+}
@@ -0,0 +1,287 @@
+/**
+ * conformance.js — MCP protocol conformance checks for a single probe.
+ *
+ * The recorder wraps the fetch used by the SDK transports, so it sees the
+ * raw JSON-RPC traffic before the SDK validates (and possibly rejects) it.
+ * From that it records the negotiated protocolVersion and Mcp-Session-Id,
+ * and flags malformed messages and ids, responses to ids we never sent,
+ * a missing serverInfo and tool inputSchemas that aren't valid object
+ * schemas. After a successful probe the prober asks it to check that
+ * DELETE actually terminates the session.
+ *
+ * Each violation costs points from a score of 100: errors 25, warnings 10.
+ */
+
+import { z } from 'zod';
+import { SUPPORTED_PROTOCOL_VERSIONS } from '@modelcontextprotocol/sdk/types.js';
+
+const ERROR_PENALTY = 25;
+const WARNING_PENALTY = 10;
+const MAX_VIOLATIONS = 20;
+
+const RequestIdSchema = z.union([z.string(), z.number().int()]);
+
+const MessageSchema = z.object({
+  jsonrpc: z.literal('2.0'),
+  id: z.unknown().optional(),
+  method: z.string().optional(),
+  result: z.unknown().optional(),
+  error: z.object({ code: z.number().int(), message: z.string() }).passthrough().optional(),
+}).passthrough();
+
+const InitializeResultSchema = z.object({
+  protocolVersion: z.string(),
+  serverInfo: z.object({ name: z.string(), version: z.string() }).passthrough(),
+}).passthrough();
+
+const InputSchemaSchema = z.object({
+  type: z.literal('object'),
+  properties: z.record(z.string(), z.object({}).passthrough()).optional(),
+  required: z.array(z.string()).optional(),
+}).passthrough().superRefine((schema, ctx) => {
+  for (const name of schema.required || []) {
+    if (!schema.properties || !(name in schema.properties)) {
+      ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['required'], message: `"${name}" is required but not in properties` });
+    }
+  }
+});
+
+// Session ids must be visible ASCII (0x21–0x7E) per the streamable HTTP spec
+const SESSION_ID_PATTERN = /^[\x21-\x7E]+$/;
+
+function describeIssues(error) {
+  return error.issues.map(i => `${i.path.join('.') || '(root)'}: ${i.message}`).join('; ');
+}
+
+/**
+ * Create a recorder for one probe.
+ * @param {Object} [opts]
+ * @param {string} [opts.transport] - 'streamable-http' | 'sse'; session checks only apply to streamable HTTP
+ * @param {typeof fetch} [opts.fetch] - Underlying fetch to wrap
+ */
+export function createConformanceRecorder({ transport = 'streamable-http', fetch: baseFetch = fetch } = {}) {
+  const streamable = transport !== 'sse';
+  const violations = [];
+  const pending = new Map(); // request id → method
+  let observed = false;
+  let protocolVersion = null;
+  let sessionId = null;   // 'valid' | 'invalid' | 'none' (streamable HTTP only)
+  let sessionTermination = null; // 'honored' | 'not-supported' | 'ignored' | 'failed'
+  let rawSessionId = null;
+
+  function violation(code, severity, message) {
+    if (violations.length >= MAX_VIOLATIONS) return;
+    if (violations.some(v => v.code === code && v.message === message)) return;
+    violations.push({ code, severity, message });
+  }
+
+  /** Remember request ids we sent; returns the methods in the body. */
+  function recordOutgoing(body) {
+    let messages;
+    try {
+      messages = JSON.parse(body);
+    } catch {
+      return [];
+    }
+    const methods = [];
+    for (const msg of Array.isArray(messages) ? messages : [messages]) {
+      if (!msg || !msg.method) continue;
+      methods.push(msg.method);
+      if (msg.id !== undefined) pending.set(msg.id, msg.method);
+    }
+    return methods;
+  }
+
+  function inspectResult(method, result) {
+    if (method === 'initialize') {
+      const parsed = InitializeResultSchema.safeParse(result);
+      if (!result || typeof result !== 'object' || !result.serverInfo) {
+        violation('missing-server-info', 'error', 'initialize result has no serverInfo');
+      } else if (!parsed.success) {
+        violation('invalid-initialize-result', 'error', `initialize result: ${describeIssues(parsed.error)}`);
+      }
+      if (typeof result?.protocolVersion === 'string') {
+        protocolVersion = result.protocolVersion;
+        if (!SUPPORTED_PROTOCOL_VERSIONS.includes(protocolVersion)) {
+          violation('unsupported-protocol-version', 'error', `negotiated unknown protocolVersion "${protocolVersion}"`);
+        }
+      } else {
+        violation('missing-protocol-version', 'error', 'initialize result has no protocolVersion');
+      }
+    } else if (method === 'tools/list') {
+      for (const tool of Array.isArray(result?.tools) ? result.tools : []) {
+        if (!tool || typeof tool.name !== 'string' || tool.name === '') {
+          violation('invalid-tool', 'error', 'tool without a name');
+          continue;
+        }
+        const parsed = InputSchemaSchema.safeParse(tool.inputSchema);
+        if (!parsed.success) {
+          violation('invalid-tool-schema', 'error', `tool "${tool.name}" inputSchema: ${describeIssues(parsed.error)}`);
+        }
+      }
+    }
+  }
+
+  function inspectMessage(msg) {
+    observed = true;
+    const parsed = MessageSchema.safeParse(msg);
+    if (!parsed.success) {
+      violation('malformed-message', 'error', `malformed JSON-RPC message: ${describeIssues(parsed.error)}`);
+      return;
+    }
+    const isResponse = 'result' in msg || 'error' in msg;
+    if (!isResponse) return;
+
+    // Error responses to unparseable requests may carry a null id; everything else must match a request
+    if (!RequestIdSchema.safeParse(msg.id).success) {
+      if (!(msg.error && msg.id === null)) {
+        violation('invalid-jsonrpc-id', 'error', `response id ${JSON.stringify(msg.id)} is not a string or integer`);
+      }
+      return;
+    }
+    if (!pending.has(msg.id)) {
+      violation('unmatched-response-id', 'error', `response id ${JSON.stringify(msg.id)} does not match any request`);
+      return;
+    }
+    const method = pending.get(msg.id);
+    pending.delete(msg.id);
+    if ('result' in msg) inspectResult(method, msg.result);
+  }
+
+  function inspectPayload(text) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch {
+      observed = true;
+      violation('malformed-message', 'error', 'response body is not valid JSON');
+      return;
+    }
+    for (const msg of Array.isArray(data) ? data : [data]) inspectMessage(msg);
+  }
+
+  /** Read a tee'd event stream branch, inspecting each message event's data. */
+  async function readEventStream(stream) {
+    const reader = stream.pipeThrough(new TextDecoderStream()).getReader();
+    let buffer = '';
+    try {
+      while (true) {
+        const { value, done } = await reader.read();
+        if (done) break;
+        buffer += value;
+        const events = buffer.split(/\r?\n\r?\n/);
+        buffer = events.pop();
+        for (const event of events) {
+          let type = 'message';
+          const data = [];
+          for (const line of event.split(/\r?\n/)) {
+            if (line.startsWith('event:')) type = line.slice(6).trim();
+            else if (line.startsWith('data:')) data.push(line.slice(5).replace(/^ /, ''));
+          }
+          // Legacy SSE sends its POST endpoint as a non-JSON "endpoint" event
+          if (type === 'message' && data.length > 0) inspectPayload(data.join('\n'));
+        }
+      }
+    } catch {
+      // Stream aborted when the probe closes the transport
+    }
+  }
+
+  async function conformanceFetch(input, init = {}) {
+    const method = (init.method || 'GET').toUpperCase();
+    const methods = method === 'POST' && typeof init.body === 'string' ? recordOutgoing(init.body) : [];
+    const isInitialize = methods.includes('initialize');
+
+    const response = await baseFetch(input, init);
+
+    if (streamable && isInitialize && response.ok) {
+      rawSessionId = response.headers.get('mcp-session-id');
+      if (rawSessionId === null) {
+        sessionId = 'none';
+      } else if (SESSION_ID_PATTERN.test(rawSessionId)) {
+        sessionId = 'valid';
+      } else {
+        sessionId = 'invalid';
+        violation('invalid-session-id', 'error', 'Mcp-Session-Id contains characters outside visible ASCII');
+      }
+    }
+
+    if (!response.ok || !response.body) return response;
+    const contentType = response.headers.get('content-type') || '';
+    if (contentType.includes('application/json')) {
+      response.clone().text().then(inspectPayload, () => {});
+      return response;
+    }
+    if (contentType.includes('text/event-stream')) {
+      const [forSdk, forUs] = response.body.tee();
+      readEventStream(forUs);
+      return new Response(forSdk, { status: response.status, statusText: response.statusText, headers: response.headers });
+    }
+    return response;
+  }
+
+  /**
+   * Check that DELETE ends the streamable HTTP session: a 2xx must be
+   * followed by 404 for requests carrying the old session id. 405 means
+   * the server doesn't allow client-initiated termination, which is fine.
+   *
+   * @param {URL} url - MCP endpoint
+   * @param {Object} [headers] - Extra request headers (e.g. auth)
+   */
+  async function checkTermination(url, headers = {}) {
+    if (sessionId !== 'valid') return;
+    const sessionHeaders = {
+      ...headers,
+      'mcp-session-id': rawSessionId,
+      ...(protocolVersion ? { 'mcp-protocol-version': protocolVersion } : {}),
+    };
+
+    try {
+      const res = await baseFetch(url, { method: 'DELETE', headers: sessionHeaders });
+      await res.body?.cancel();
+      if (res.status === 405) {
+        sessionTermination = 'not-supported';
+        return;
+      }
+      if (!res.ok) {
+        sessionTermination = 'failed';
+        violation('session-termination-failed', 'warning', `DELETE returned HTTP ${res.status}`);
+        return;
+      }
+
+      const after = await baseFetch(url, {
+        method: 'POST',
+        headers: { ...sessionHeaders, 'content-type': 'application/json', accept: 'application/json, text/event-stream' },
+        body: JSON.stringify({ jsonrpc: '2.0', id: 'mcpdd-conformance', method: 'ping' }),
+      });
+      await after.body?.cancel();
+      if (after.status === 404) {
+        sessionTermination = 'honored';
+      } else {
+        sessionTermination = 'ignored';
+        violation('session-not-terminated', 'warning', `request on a terminated session returned HTTP ${after.status}, expected 404`);
+      }
+    } catch (err) {
+      sessionTermination = 'failed';
+      violation('session-termination-failed', 'warning', `DELETE failed: ${err.message}`);
+    }
+  }
+
+  /**
+   * Summary for the CheckResult, or null if the server never sent a message.
+   * @returns {Object|null} { protocolVersion, sessionId, sessionTermination, score, violations }
+   */
+  function summary() {
+    if (!observed) return null;
+    const penalty = violations.reduce((sum, v) => sum + (v.severity === 'error' ? ERROR_PENALTY : WARNING_PENALTY), 0);
+    return {
+      protocolVersion,
+      sessionId,
+      sessionTermination,
+      score: Math.max(0, 100 - penalty),
+      violations: violations.slice(),
+    };
+  }
+
+  return { fetch: conformanceFetch, checkTermination, summary };
+}
@@ -0,0 +1,232 @@
+/**
+ * credentials.js — Per-provider credentials for authenticated probing.
+ *
+ * Credentials are read from data/secrets.json (or SECRETS_FILE), keyed by
+ * registryName, and from MCPDD_AUTH_<NAME> environment variables, where
+ * NAME is the registryName upper-cased with every non-alphanumeric
+ * character replaced by "_" (com.stripe/mcp → MCPDD_AUTH_COM_STRIPE_MCP).
+ * An env var holds either a bare bearer token or the same JSON object as a
+ * file entry, and wins over the file:
+ *
+ *   {
+ *     "com.stripe/mcp": { "bearerToken": "sk_live_..." },
+ *     "com.notion/mcp": { "headers": { "X-Notion-Key": "..." } },
+ *     "io.example/mcp": {
+ *       "oauth": {
+ *         "tokenUrl": "https://auth.example.io/oauth/token",
+ *         "clientId": "...",
+ *         "clientSecret": "...",
+ *         "scope": "mcp",                 // optional
+ *         "resource": "https://...",      // optional RFC 8707 resource indicator
+ *         "authMethod": "client_secret_basic" // or "client_secret_post"
+ *       }
+ *     }
+ *   }
+ *
+ * Secret values never leave this module except as request headers handed
+ * to the prober; logs only mention registry names and header names, and
+ * redact() scrubs them from any error text before it is recorded.
+ */
+
+import { readFileSync, existsSync } from 'fs';
+import { egressFetch } from './egress.js';
+
+const TOKEN_TIMEOUT_MS = 10000;
+// Refresh OAuth tokens this long before they expire
+const TOKEN_EXPIRY_MARGIN_MS = 60 * 1000;
+const ENV_PREFIX = 'MCPDD_AUTH_';
+
+// registryName → { bearerToken?, headers?, oauth? }
+let credentials = new Map();
+// registryName → { accessToken, expiresAt }
+const tokens = new Map();
+// Every secret value we know of, for redaction
+let secretValues = [];
+
+function envName(registryName) {
+  return ENV_PREFIX + registryName.toUpperCase().replace(/[^A-Z0-9]/g, '_');
+}
+
+function parseEnvValue(value) {
+  const trimmed = value.trim();
+  if (trimmed.startsWith('{')) return JSON.parse(trimmed);
+  return { bearerToken: trimmed };
+}
+
+/** Check an entry's shape, returning a problem description or null. */
+function validate(entry) {
+  if (!entry || typeof entry !== 'object') return 'must be an object';
+  const kinds = ['bearerToken', 'headers', 'oauth'].filter(k => entry[k] !== undefined);
+  if (kinds.length === 0) return 'needs bearerToken, headers or oauth';
+  if (entry.bearerToken !== undefined && typeof entry.bearerToken !== 'string') return 'bearerToken must be a string';
+  if (entry.headers !== undefined &&
+      (typeof entry.headers !== 'object' || Object.values(entry.headers).some(v => typeof v !== 'string'))) {
+    return 'headers must map header names to strings';
+  }
+  if (entry.oauth !== undefined) {
+    const { tokenUrl, clientId, clientSecret } = entry.oauth;
+    if (!tokenUrl || !clientId || !clientSecret) return 'oauth needs tokenUrl, clientId and clientSecret';
+  }
+  return null;
+}
+
+function collectSecrets() {
+  const values = [];
+  for (const entry of credentials.values()) {
+    if (entry.bearerToken) values.push(entry.bearerToken);
+    for (const value of Object.values(entry.headers || {})) values.push(value);
+    if (entry.oauth) values.push(entry.oauth.clientSecret);
+  }
+  for (const token of tokens.values()) values.push(token.accessToken);
+  // Longest first so a secret containing another is scrubbed whole
+  secretValues = [...new Set(values.filter(v => v && v.length >= 4))].sort((a, b) => b.length - a.length);
+}
+
+/**
+ * Load credentials from the secrets file and MCPDD_AUTH_* env vars.
+ * @param {string} file - Path to secrets.json
+ * @param {string[]} registryNames - Known providers, to resolve env var names
+ */
+export function loadCredentials(file, registryNames) {
+  const next = new Map();
+
+  if (existsSync(file)) {
+    try {
+      const data = JSON.parse(readFileSync(file, 'utf-8'));
+      for (const [name, entry] of Object.entries(data)) next.set(name, entry);
+    } catch (err) {
+      // Parse errors can quote file content; don't echo them
+      console.error(`Failed to load secrets file ${file}: ${err.name}`);
+    }
+  }
+
+  for (const name of registryNames) {
+    const value = process.env[envName(name)];
+    if (!value) continue;
+    try {
+      next.set(name, parseEnvValue(value));
+    } catch (err) {
+      console.error(`Ignoring ${envName(name)}: not a token or valid JSON`);
+    }
+  }
+
+  for (const [name, entry] of next) {
+    const problem = validate(entry);
+    if (problem) {
+      console.error(`Ignoring credentials for ${name}: ${problem}`);
+      next.delete(name);
+    }
+  }
+
+  credentials = next;
+  tokens.clear();
+  collectSecrets();
+  if (credentials.size > 0) console.log(`Loaded credentials for ${credentials.size} provider(s)`);
+}
+
+export function hasCredentials(registryName) {
+  return credentials.has(registryName);
+}
+
+/**
+ * Warn about header names configured for a provider that its registry
+ * entry doesn't declare, and declared secret headers left unset.
+ * @param {Object[]} providers
+ */
+export function checkDeclaredHeaders(providers) {
+  for (const provider of providers) {
+    const entry = credentials.get(provider.registryName);
+    if (!entry) continue;
+    const declared = new Set(provider.remotes.flatMap(r => r.secretHeaders || []).map(h => h.toLowerCase()));
+    if (declared.size === 0) continue;
+    const configured = Object.keys(entry.headers || {}).map(h => h.toLowerCase());
+    if (entry.bearerToken || entry.oauth) configured.push('authorization');
+    const unknown = configured.filter(h => !declared.has(h));
+    const missing = [...declared].filter(h => !configured.includes(h));
+    if (unknown.length > 0) console.error(`Credentials for ${provider.registryName}: header(s) not declared by the registry: ${unknown.join(', ')}`);
+    if (missing.length > 0) console.error(`Credentials for ${provider.registryName}: declared secret header(s) not configured: ${missing.join(', ')}`);
+  }
+}
+
+/** Replace any known secret value in a string. */
+export function redact(text) {
+  if (typeof text !== 'string') return text;
+  let out = text;
+  for (const secret of secretValues) {
+    if (out.includes(secret)) out = out.split(secret).join('[redacted]');
+  }
+  return out;
+}
+
+async function fetchToken(registryName, oauth) {
+  const body = new URLSearchParams({ grant_type: 'client_credentials' });
+  if (oauth.scope) body.set('scope', oauth.scope);
+  if (oauth.resource) body.set('resource', oauth.resource);
+
+  const headers = { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' };
+  if (oauth.authMethod === 'client_secret_post') {
+    body.set('client_id', oauth.clientId);
+    body.set('client_secret', oauth.clientSecret);
+  } else {
+    const basic = Buffer.from(`${encodeURIComponent(oauth.clientId)}:${encodeURIComponent(oauth.clientSecret)}`).toString('base64');
+    headers.Authorization = `Basic ${basic}`;
+  }
+
+  // tokenUrl comes from our own config, but a private token endpoint still needs EGRESS_ALLOW.
+  // The client secret is in the request, so a redirect isn't followed anywhere
+  const res = await egressFetch(oauth.tokenUrl, {
+    method: 'POST',
+    headers,
+    body,
+    redirect: 'error',
+    signal: AbortSignal.timeout(TOKEN_TIMEOUT_MS),
+  });
+  if (!res.ok) {
+    await res.body?.cancel();
+    throw new Error(`token request failed: HTTP ${res.status}`);
+  }
+  const data = await res.json();
+  if (!data.access_token) throw new Error('token response has no access_token');
+
+  const token = {
+    accessToken: data.access_token,
+    expiresAt: data.expires_in ? Date.now() + data.expires_in * 1000 - TOKEN_EXPIRY_MARGIN_MS : Infinity,
+  };
+  tokens.set(registryName, token);
+  collectSecrets();
+  return token;
+}
+
+/**
+ * Request headers carrying a provider's credentials, fetching (and caching)
+ * an OAuth client-credentials token when needed.
+ * @param {string} registryName
+ * @returns {Promise<Object|null>} null when the provider has no credentials
+ * @throws {Error} when an OAuth token can't be obtained; the message is redacted
+ */
+export async function getAuthHeaders(registryName) {
+  const entry = credentials.get(registryName);
+  if (!entry) return null;
+
+  const headers = { ...(entry.headers || {}) };
+  if (entry.bearerToken) headers.Authorization = `Bearer ${entry.bearerToken}`;
+
+  if (entry.oauth) {
+    let token = tokens.get(registryName);
+    if (!token || token.expiresAt <= Date.now()) {
+      try {
+        token = await fetchToken(registryName, entry.oauth);
+      } catch (err) {
+        throw new Error(redact(err.message || String(err)));
+      }
+    }
+    headers.Authorization = `Bearer ${token.accessToken}`;
+  }
+
+  return headers;
+}
+
+/** Drop a cached OAuth token, e.g. after the server rejected it. */
+export function forgetToken(registryName) {
+  tokens.delete(registryName);
+}
@@ -0,0 +1,269 @@
+/**
+ * egress.js — Egress policy for outbound requests to monitored servers.
+ *
+ * Registry entries are untrusted: a remote could point at a cloud metadata
+ * endpoint, an RFC 1918 address or a name that resolves to one, and the
+ * prober would happily request it from inside our network. So every
+ * request to a remote (probes, OAuth discovery, token endpoints, webhooks)
+ * resolves the host first and is refused if any address it resolves to is
+ * private, loopback, link-local or otherwise reserved. Redirects are
+ * followed by hand so each hop is checked too, and connections are made
+ * through an undici Agent whose lookup checks the addresses it dials, so a
+ * name can't pass the check and then resolve somewhere else.
+ *
+ * Configuration (comma-separated hostnames, IP addresses and CIDRs;
+ * "*.example.com" matches subdomains):
+ *   EGRESS_DENY   always refused, whatever the address
+ *   EGRESS_MODE   public (default) or internal
+ *   EGRESS_ALLOW  with EGRESS_MODE=internal, the private targets that may
+ *                 be reached: hostnames, or the addresses they resolve to
+ */
+
+import { lookup as dnsLookup } from 'dns';
+import { lookup } from 'dns/promises';
+import { BlockList, isIP } from 'net';
+import { Agent, buildConnector, fetch as undiciFetch } from 'undici';
+
+const MODES = ['public', 'internal'];
+const MAX_REDIRECTS = 5;
+const REDIRECT_STATUSES = new Set([301, 302, 303, 307, 308]);
+
+// Loopback, private, link-local, shared, documentation, multicast and other special-purpose ranges.
+// IPv4-mapped IPv6 addresses (::ffff:a.b.c.d) are checked against the IPv4 ranges.
+const RESERVED_RANGES = [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24], ['192.88.99.0', 24], ['192.168.0.0', 16],
+  ['198.18.0.0', 15], ['198.51.100.0', 24], ['203.0.113.0', 24], ['224.0.0.0', 4], ['240.0.0.0', 4],
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['64:ff9b:1::', 48], ['100::', 64], ['2001:db8::', 32],
+  ['2002::', 16], ['fc00::', 7], ['fe80::', 10], ['fec0::', 10], ['ff00::', 8],
+];
+
+const reserved = new BlockList();
+for (const [network, prefix] of RESERVED_RANGES) reserved.addSubnet(network, prefix, isIP(network) === 6 ? 'ipv6' : 'ipv4');
+
+function parseMode(value) {
+  if (!value) return 'public';
+  if (MODES.includes(value)) return value;
+  console.error(`Ignoring EGRESS_MODE=${value}: expected one of ${MODES.join(', ')}`);
+  return 'public';
+}
+
+function normalizeHost(hostname) {
+  return hostname.toLowerCase().replace(/^\[|\]$/g, '').replace(/\.$/, '');
+}
+
+/**
+ * Parse a comma-separated list of hostnames, addresses and CIDRs.
+ * @returns {{addresses: BlockList, hosts: string[], size: number}}
+ */
+function parseTargets(name, value) {
+  const addresses = new BlockList();
+  const hosts = [];
+  let size = 0;
+  for (const raw of (value || '').split(',').map(s => s.trim()).filter(Boolean)) {
+    const [network, prefix, extra] = raw.split('/');
+    const family = isIP(network);
+    if (family && prefix === undefined) {
+      addresses.addAddress(network, family === 6 ? 'ipv6' : 'ipv4');
+    } else if (family && extra === undefined && /^\d+$/.test(prefix) && Number(prefix) <= (family === 6 ? 128 : 32)) {
+      addresses.addSubnet(network, Number(prefix), family === 6 ? 'ipv6' : 'ipv4');
+    } else if (/^(\*\.)?[a-z0-9.-]+$/i.test(raw)) {
+      hosts.push(normalizeHost(raw));
+    } else {
+      console.error(`Ignoring ${name} entry "${raw}": expected a hostname, IP address or CIDR`);
+      continue;
+    }
+    size++;
+  }
+  return { addresses, hosts, size };
+}
+
+const MODE = parseMode(process.env.EGRESS_MODE);
+const allow = parseTargets('EGRESS_ALLOW', process.env.EGRESS_ALLOW);
+const deny = parseTargets('EGRESS_DENY', process.env.EGRESS_DENY);
+if (allow.size > 0 && MODE !== 'internal') console.error('EGRESS_ALLOW only applies with EGRESS_MODE=internal; ignoring it');
+
+function matchesHost(patterns, host) {
+  return patterns.some(p => (p.startsWith('*.') ? host.endsWith(p.slice(1)) : host === p));
+}
+
+function familyOf(address) {
+  return isIP(address) === 6 ? 'ipv6' : 'ipv4';
+}
+
+// Loopback names resolve locally, whatever DNS says
+function isLoopbackName(host) {
+  return host === 'localhost' || host.endsWith('.localhost');
+}
+
+function privateAllowed(host, address) {
+  if (MODE !== 'internal') return false;
+  return matchesHost(allow.hosts, host) || allow.addresses.check(address, familyOf(address));
+}
+
+/**
+ * Check one address a host resolved to.
+ * @param {string} hostname
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {string|null} why the address is refused, or null
+ */
+export function checkAddress(hostname, address) {
+  const host = normalizeHost(hostname);
+  const ip = address.replace(/%.*$/, '');
+  const target = host === ip ? ip : `${host} (${ip})`;
+  if (deny.addresses.check(ip, familyOf(ip))) return `${target} is on EGRESS_DENY`;
+  if (!reserved.check(ip, familyOf(ip)) || privateAllowed(host, ip)) return null;
+  return `${target} is a private or reserved address`;
+}
+
+/**
+ * Check a hostname without resolving it: denied names, loopback names and
+ * IP literals. Used where a DNS lookup per URL is too slow (ingest, admin
+ * input); requests still go through checkEgress().
+ * @param {string} hostname - As in URL.hostname
+ * @returns {string|null} why the host is refused, or null
+ */
+export function checkHost(hostname) {
+  const host = normalizeHost(hostname);
+  if (matchesHost(deny.hosts, host)) return `${host} is on EGRESS_DENY`;
+  if (isIP(host)) return checkAddress(host, host);
+  if (isLoopbackName(host) && !privateAllowed(host, '127.0.0.1') && !privateAllowed(host, '::1')) return `${host} is a loopback name`;
+  return null;
+}
+
+/**
+ * Check a URL against the egress policy, resolving its host.
+ * Lookup failures are thrown, as fetch would.
+ * @param {string|URL} url
+ * @returns {Promise<{ok: boolean, reason: string|null, addresses: string[]}>}
+ */
+export async function checkEgress(url) {
+  const parsed = new URL(url);
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+    return { ok: false, reason: `${parsed.protocol} URLs are not allowed`, addresses: [] };
+  }
+  const host = normalizeHost(parsed.hostname);
+  const hostReason = checkHost(host);
+  if (hostReason) return { ok: false, reason: hostReason, addresses: [] };
+
+  const addresses = isIP(host) ? [host] : (await lookup(host, { all: true })).map(a => a.address);
+  for (const address of addresses) {
+    const reason = checkAddress(host, address);
+    if (reason) return { ok: false, reason, addresses };
+  }
+  return { ok: true, reason: null, addresses };
+}
+
+function blockedError(reason) {
+  const err = new Error(`Blocked by egress policy: ${reason}`);
+  err.code = 'EGRESS_BLOCKED';
+  return err;
+}
+
+/**
+ * dns.lookup() for net.connect() that refuses what checkAddress() refuses,
+ * so the address a connection dials is one that passed the policy.
+ * IP literals aren't looked up; checkHost() covers them.
+ */
+function guardedLookup(hostname, options, callback) {
+  dnsLookup(hostname, options, (err, address, family) => {
+    if (err) return callback(err);
+    // With options.all (happy eyeballs), address is [{ address, family }]
+    for (const entry of Array.isArray(address) ? address : [{ address }]) {
+      const reason = checkAddress(hostname, entry.address);
+      if (reason) return callback(blockedError(reason));
+    }
+    callback(null, address, family);
+  });
+}
+
+/**
+ * fetch() whose connections only dial addresses the policy allows, over a
+ * connection pool of its own. destroy() closes the pool.
+ * @param {(socket: import('net').Socket) => void} [onSocket] - Called with each connection as it is opened
+ * @returns {typeof fetch & {destroy: () => Promise<void>}}
+ */
+export function createPinnedFetch(onSocket) {
+  const connect = buildConnector({ lookup: guardedLookup });
+  const dispatcher = new Agent({
+    connect: (options, callback) => {
+      const socket = connect(options, callback);
+      onSocket?.(socket);
+      return socket;
+    },
+  });
+  const pinnedFetch = (input, init) => undiciFetch(input, { ...init, dispatcher });
+  pinnedFetch.destroy = () => dispatcher.destroy();
+  return pinnedFetch;
+}
+
+const sharedPinnedFetch = createPinnedFetch();
+
+/**
+ * Wrap fetch so every request, and every redirect it follows, passes
+ * checkEgress(). Verdicts are remembered per host for the wrapper's
+ * lifetime, so create one per probe rather than sharing it.
+ *
+ * @param {typeof fetch} [baseFetch] - From createPinnedFetch(); defaults to a shared one
+ * @param {Object} [opts]
+ * @param {string[]} [opts.credentialHeaders] - Headers carrying credentials (credentials.js), which
+ *   like Authorization and Cookie are dropped on a redirect to another origin
+ * @returns {typeof fetch & {check: (url: string|URL) => Promise<Object>}}
+ */
+export function createEgressFetch(baseFetch = sharedPinnedFetch, { credentialHeaders = [] } = {}) {
+  const stripped = ['authorization', 'cookie', ...credentialHeaders];
+  const verdicts = new Map(); // "protocol//host" → Promise<checkEgress() result>
+  const check = url => {
+    const { protocol, host } = new URL(url);
+    const key = `${protocol}//${host}`;
+    if (!verdicts.has(key)) verdicts.set(key, checkEgress(url));
+    return verdicts.get(key);
+  };
+
+  async function guardedFetch(input, init = {}) {
+    let url = new URL(input);
+    let options = init;
+    for (let redirects = 0; ; redirects++) {
+      const verdict = await check(url);
+      if (!verdict.ok) throw blockedError(verdict.reason);
+
+      // A refusal at connect time surfaces as "fetch failed"; report the policy instead
+      const res = await baseFetch(url, { ...options, redirect: 'manual' }).catch(err => {
+        throw err.cause?.code === 'EGRESS_BLOCKED' ? err.cause : err;
+      });
+      const location = res.headers.get('location');
+      if (!REDIRECT_STATUSES.has(res.status) || !location || init.redirect === 'manual') return res;
+      await res.body?.cancel();
+      if (init.redirect === 'error') throw new TypeError(`fetch failed: redirected to ${location}`);
+      if (redirects >= MAX_REDIRECTS) throw new TypeError(`fetch failed: more than ${MAX_REDIRECTS} redirects`);
+
+      // As fetch does: 303, and 301/302 after a POST, continue as a GET without a body
+      const method = (options.method || 'GET').toUpperCase();
+      if ((res.status === 303 && method !== 'HEAD') || ((res.status === 301 || res.status === 302) && method === 'POST')) {
+        options = { ...options, method: 'GET', body: undefined };
+      }
+      const next = new URL(location, url);
+      // ...and doesn't carry credentials to another origin
+      if (next.origin !== url.origin) {
+        const headers = new Headers(options.headers);
+        for (const name of stripped) headers.delete(name);
+        options = { ...options, headers };
+      }
+      url = next;
+    }
+  }
+
+  guardedFetch.check = check;
+  return guardedFetch;
+}
+
+/** fetch() with the egress policy applied; for one-off requests. */
+export function egressFetch(input, init) {
+  return createEgressFetch()(input, init);
+}
+
+/** The effective policy, for the startup log. */
+export function egressSummary() {
+  const allowed = MODE === 'internal' ? `${allow.size} allowed and ` : '';
+  return `egress mode ${MODE}, ${allowed}${deny.size} denied target(s)`;
+}
@@ -0,0 +1,151 @@
+/**
+ * feeds.js — Atom feeds for the registry changelog and status transitions.
+ *
+ * Served at /feeds/changelog.xml, /feeds/status.xml and
+ * /feeds/server/:registryName.xml so people can follow the dashboard from
+ * a feed reader. Entry ids are stable URNs (the transition's UUID, or one
+ * derived from the changelog entry's timestamp) and every entry carries
+ * its own updated time, so readers dedupe entries across restarts and
+ * regardless of which host name the feed was fetched under.
+ */
+
+import { createHash } from 'crypto';
+
+// Entries per feed
+export const FEED_LIMIT = 50;
+// Provider names listed per changelog entry section
+const MAX_LISTED = 100;
+
+function escapeXml(value) {
+  return String(value)
+    // Control characters aren't allowed in XML 1.0 at all, even escaped
+    .replace(/[\x00-\x08\x0B\x0C\x0E-\x1F]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/** A UUID URN derived from a name, so the same name always gets the same id. */
+function stableId(name) {
+  const hex = createHash('sha1').update(name).digest('hex');
+  return `urn:uuid:${hex.slice(0, 8)}-${hex.slice(8, 12)}-5${hex.slice(13, 16)}-${(8 | (parseInt(hex[16], 16) & 3)).toString(16)}${hex.slice(17, 20)}-${hex.slice(20, 32)}`;
+}
+
+function iso(time) {
+  return new Date(time).toISOString();
+}
+
+/**
+ * When a feed last changed: its newest entry's time, or the fallback for an empty feed.
+ * @param {Object[]} entries
+ * @param {number} fallback - ms timestamp
+ */
+export function feedUpdated(entries, fallback) {
+  return entries.length > 0 ? Math.max(...entries.map(e => e.updated)) : fallback;
+}
+
+/**
+ * Render an Atom 1.0 feed.
+ *
+ * @param {Object} feed
+ * @param {string} feed.id - Stable feed id
+ * @param {string} feed.title
+ * @param {string} feed.link - Dashboard page the feed follows
+ * @param {string} feed.self - The feed's own URL
+ * @param {number} feed.updated - Feed updated time (ms): its newest entry's, see feedUpdated()
+ * @param {Object[]} feed.entries - { id, title, updated, link, summary, content? } newest first;
+ *   content is HTML
+ * @returns {string}
+ */
+export function renderAtom({ id, title, link, self, updated, entries }) {
+  const lines = [
+    '<?xml version="1.0" encoding="utf-8"?>',
+    '<feed xmlns="http://www.w3.org/2005/Atom">',
+    `  <id>${escapeXml(id)}</id>`,
+    `  <title>${escapeXml(title)}</title>`,
+    `  <updated>${iso(updated)}</updated>`,
+    `  <link rel="alternate" type="text/html" href="${escapeXml(link)}"/>`,
+    `  <link rel="self" type="application/atom+xml" href="${escapeXml(self)}"/>`,
+    '  <author><name>mcpdd</name></author>',
+    '  <generator>mcpdd</generator>',
+  ];
+  for (const entry of entries) {
+    lines.push(
+      '  <entry>',
+      `    <id>${escapeXml(entry.id)}</id>`,
+      `    <title>${escapeXml(entry.title)}</title>`,
+      `    <updated>${iso(entry.updated)}</updated>`,
+      `    <published>${iso(entry.updated)}</published>`,
+      `    <link rel="alternate" type="text/html" href="${escapeXml(entry.link)}"/>`,
+      `    <summary>${escapeXml(entry.summary)}</summary>`,
+    );
+    if (entry.content) lines.push(`    <content type="html">${escapeXml(entry.content)}</content>`);
+    lines.push('  </entry>');
+  }
+  lines.push('</feed>', '');
+  return lines.join('\n');
+}
+
+function providerList(heading, items, baseUrl, describe = () => '') {
+  if (items.length === 0) return '';
+  const listed = items.slice(0, MAX_LISTED).map(p => {
+    const href = `${baseUrl}/server/${encodeURIComponent(p.registryName)}`;
+    return `<li><a href="${escapeXml(href)}">${escapeXml(p.displayName || p.registryName)}</a>${escapeXml(describe(p))}</li>`;
+  });
+  const more = items.length > MAX_LISTED ? `<li>and ${items.length - MAX_LISTED} more</li>` : '';
+  return `<h3>${heading} (${items.length})</h3><ul>${listed.join('')}${more}</ul>`;
+}
+
+/**
+ * Feed entries for computeChangelog() entries (data/changelog.json, newest first).
+ * @param {Object[]} changelog
+ * @param {string} baseUrl - Dashboard URL without a trailing slash
+ */
+export function changelogEntries(changelog, baseUrl) {
+  return changelog.slice(0, FEED_LIMIT).map(entry => {
+    const counts = [
+      entry.added.length && `${entry.added.length} added`,
+      entry.removed.length && `${entry.removed.length} removed`,
+      entry.changed.length && `${entry.changed.length} changed`,
+    ].filter(Boolean).join(', ');
+    return {
+      id: stableId(`changelog|${entry.timestamp}`),
+      title: `Registry update: ${counts}`,
+      updated: Date.parse(entry.timestamp),
+      link: `${baseUrl}/changelog`,
+      summary: `${counts}; ${entry.providerCount} providers monitored`,
+      content:
+        providerList('Added', entry.added, baseUrl) +
+        providerList('Removed', entry.removed, baseUrl) +
+        providerList('Changed', entry.changed, baseUrl, p => {
+          const parts = [];
+          if (p.oldVersion !== p.newVersion) parts.push(`v${p.oldVersion} → v${p.newVersion}`);
+          if (p.oldRemoteCount !== p.newRemoteCount) parts.push(`${p.oldRemoteCount} → ${p.newRemoteCount} remotes`);
+          return parts.length > 0 ? `: ${parts.join(', ')}` : '';
+        }),
+    };
+  });
+}
+
+/**
+ * Feed entries for status transitions from transitions.js (newest first).
+ * @param {Object[]} transitions
+ * @param {string} baseUrl - Dashboard URL without a trailing slash
+ * @param {(registryName: string, url: string) => {displayName: string, remoteName: string}|null} describe -
+ *   Names for a remote, or null if it is no longer monitored
+ */
+export function transitionEntries(transitions, baseUrl, describe) {
+  return transitions.map(t => {
+    const names = describe(t.registryName, t.url);
+    const name = names?.displayName || t.registryName;
+    const remote = names && names.remoteName !== 'default' ? ` (${names.remoteName})` : '';
+    return {
+      id: `urn:uuid:${t.id}`,
+      title: `${name}${remote}: ${t.from} → ${t.to}`,
+      updated: t.at,
+      link: `${baseUrl}/server/${encodeURIComponent(t.registryName)}`,
+      summary: `${t.url} went from ${t.from} to ${t.to} at ${iso(t.at)}${t.error ? `: ${t.error}` : ''}`,
+    };
+  });
+}
@@ -0,0 +1,185 @@
+/**
+ * hostlimit.js — Per-host politeness for probes.
+ *
+ * Many registry entries share a host (several slugs under one vendor
+ * domain), so probes are limited per host, not only globally: each probe
+ * takes a slot for its host, at most HOST_MAX_CONCURRENCY (default 2) run
+ * at once, and probe starts are at least HOST_MIN_SPACING_MS (default
+ * 500) apart. Hosts can get their own limits in data/host-limits.json
+ * (or HOST_LIMITS_FILE):
+ *
+ *   { "mcp.example.com": { "maxConcurrency": 4, "minSpacingMs": 0 } }
+ *
+ * A 429 defers the host for its Retry-After (5 minutes when absent,
+ * capped at an hour). Probes for a deferred host aren't sent; the prober
+ * records them as rate-limited.
+ */
+
+import { readFileSync, existsSync } from 'fs';
+
+const DEFAULT_LIMITS = {
+  maxConcurrency: parseInt(process.env.HOST_MAX_CONCURRENCY || '2'),
+  minSpacingMs: parseInt(process.env.HOST_MIN_SPACING_MS || '500'),
+};
+const DEFAULT_DEFER_MS = 5 * 60 * 1000;
+const MAX_DEFER_MS = 60 * 60 * 1000;
+
+// host → { active, lastStartAt, deferredUntil, waiters: [resolve], timer }
+const hosts = new Map();
+// host → { maxConcurrency, minSpacingMs }
+let overrides = new Map();
+
+/**
+ * Load per-host limit overrides from a JSON file.
+ * @param {string} file
+ */
+export function loadHostLimits(file) {
+  const next = new Map();
+  if (existsSync(file)) {
+    try {
+      const data = JSON.parse(readFileSync(file, 'utf-8'));
+      for (const [host, limits] of Object.entries(data)) {
+        const entry = { ...DEFAULT_LIMITS };
+        if (Number.isInteger(limits.maxConcurrency) && limits.maxConcurrency > 0) entry.maxConcurrency = limits.maxConcurrency;
+        if (Number.isInteger(limits.minSpacingMs) && limits.minSpacingMs >= 0) entry.minSpacingMs = limits.minSpacingMs;
+        next.set(host.toLowerCase(), entry);
+      }
+      console.log(`Loaded limits for ${next.size} host(s) from ${file}`);
+    } catch (err) {
+      console.error(`Failed to load host limits: ${err.message}`);
+    }
+  }
+  overrides = next;
+}
+
+/** Host key for a URL: host name and port. */
+export function hostOf(url) {
+  return new URL(url).host.toLowerCase();
+}
+
+function limitsFor(host) {
+  return overrides.get(host) || DEFAULT_LIMITS;
+}
+
+function stateFor(host) {
+  if (!hosts.has(host)) hosts.set(host, { active: 0, lastStartAt: 0, deferredUntil: 0, waiters: [], timer: null });
+  return hosts.get(host);
+}
+
+/** Drop state for a host with nothing running, waiting or deferred. */
+function forgetIfIdle(host, state) {
+  const now = Date.now();
+  if (state.active === 0 && state.waiters.length === 0 && state.deferredUntil <= now &&
+      now - state.lastStartAt >= limitsFor(host).minSpacingMs) {
+    hosts.delete(host);
+  }
+}
+
+function release(host, state) {
+  let released = false;
+  return () => {
+    if (released) return;
+    released = true;
+    state.active--;
+    pump(host, state);
+    forgetIfIdle(host, state);
+  };
+}
+
+/** Hand out slots to waiters as limits allow. */
+function pump(host, state) {
+  const limits = limitsFor(host);
+  while (state.waiters.length > 0) {
+    const now = Date.now();
+    if (state.deferredUntil > now) {
+      // Deferred: nobody waits it out
+      for (const resolve of state.waiters.splice(0)) resolve(null);
+      return;
+    }
+    if (state.active >= limits.maxConcurrency) return; // release() pumps again
+    const wait = state.lastStartAt + limits.minSpacingMs - now;
+    if (wait > 0) {
+      if (!state.timer) {
+        state.timer = setTimeout(() => {
+          state.timer = null;
+          pump(host, state);
+        }, wait);
+      }
+      return;
+    }
+    state.active++;
+    state.lastStartAt = now;
+    state.waiters.shift()(release(host, state));
+  }
+}
+
+/**
+ * Wait for a probe slot on a host.
+ * @param {string} host - From hostOf()
+ * @returns {Promise<Function|null>} A release function, or null if the host is deferred
+ */
+export function acquireHost(host) {
+  const state = stateFor(host);
+  return new Promise(resolve => {
+    state.waiters.push(resolve);
+    pump(host, state);
+  });
+}
+
+/**
+ * Whether a probe for the host could start right now without waiting;
+ * deferred hosts count as ready, since their probes return at once.
+ */
+export function hostReady(host) {
+  const state = hosts.get(host);
+  if (!state) return true;
+  const now = Date.now();
+  if (state.deferredUntil > now) return true;
+  const limits = limitsFor(host);
+  return state.waiters.length === 0 && state.active < limits.maxConcurrency &&
+    now - state.lastStartAt >= limits.minSpacingMs;
+}
+
+/**
+ * Parse a Retry-After header (delay seconds or HTTP date).
+ * @returns {number|null} Delay in ms
+ */
+export function parseRetryAfter(value) {
+  if (!value) return null;
+  if (/^\d+$/.test(value.trim())) return parseInt(value) * 1000;
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Stop probing a host for a while after it rate-limited us.
+ * @param {string} host
+ * @param {number|null} delayMs - From Retry-After; null for the default
+ * @returns {number} When the deferral ends (ms timestamp)
+ */
+export function deferHost(host, delayMs) {
+  const state = stateFor(host);
+  const until = Date.now() + Math.min(MAX_DEFER_MS, delayMs ?? DEFAULT_DEFER_MS);
+  state.deferredUntil = Math.max(state.deferredUntil, until);
+  console.log(`  rate limited by ${host}, deferring until ${new Date(state.deferredUntil).toISOString()}`);
+  pump(host, state);
+  return state.deferredUntil;
+}
+
+/** When a host's deferral ends, or null if it isn't deferred. */
+export function hostDeferredUntil(host) {
+  const state = hosts.get(host);
+  return state && state.deferredUntil > Date.now() ? state.deferredUntil : null;
+}
+
+/** Counts for /metrics: { deferredHosts, waitingProbes } */
+export function hostStats() {
+  const now = Date.now();
+  let deferredHosts = 0;
+  let waitingProbes = 0;
+  for (const state of hosts.values()) {
+    if (state.deferredUntil > now) deferredHosts++;
+    waitingProbes += state.waiters.length;
+  }
+  return { deferredHosts, waitingProbes };
+}
@@ -0,0 +1,165 @@
+/**
+ * incidents.js — Open/close incidents from consecutive failing checks.
+ *
+ * An incident opens once a remote has been down/unhealthy for
+ * INCIDENT_THRESHOLD consecutive probes (backdated to the first failing
+ * check) and closes on the next passing check. Closed incidents are kept
+ * for 90 days in data/incidents.json.
+ */
+
+import { readFileSync, writeFileSync, mkdirSync, existsSync } from 'fs';
+import { dirname } from 'path';
+import { randomUUID } from 'crypto';
+import { NO_VERDICT } from './policy.js';
+
+const INCIDENT_THRESHOLD = parseInt(process.env.INCIDENT_THRESHOLD || '3');
+const RETENTION_MS = 90 * 24 * 60 * 60 * 1000;
+const MAX_ERRORS = 10;
+const FAILING = ['down', 'unhealthy'];
+
+// All incidents (open and closed), oldest first
+let incidents = [];
+// Open incidents keyed by "registryName|url"
+const openByKey = new Map();
+// Failing streaks that haven't reached the threshold yet, keyed by "registryName|url"
+const streaks = new Map();
+
+function addError(list, error) {
+  if (error && !list.includes(error) && list.length < MAX_ERRORS) list.push(error);
+}
+
+function worse(a, b) {
+  return a === 'down' || b === 'down' ? 'down' : 'unhealthy';
+}
+
+/**
+ * Feed a recorded CheckResult into the incident tracker.
+ * @param {string} registryName
+ * @param {string} url - Remote URL
+ * @param {Object} check - CheckResult from probeServer()
+ */
+export function trackCheck(registryName, url, check) {
+  // Short-circuited, never-probed and rate-limited results neither extend nor end an incident
+  if (NO_VERDICT.has(check.status)) return;
+
+  const key = `${registryName}|${url}`;
+  const open = openByKey.get(key);
+
+  if (FAILING.includes(check.status)) {
+    if (open) {
+      open.worstStatus = worse(open.worstStatus, check.status);
+      open.checkCount++;
+      addError(open.errors, check.error);
+      return;
+    }
+
+    let streak = streaks.get(key);
+    if (!streak) {
+      streak = { startedAt: check.timestamp, worstStatus: check.status, errors: [], checkCount: 0 };
+      streaks.set(key, streak);
+    }
+    streak.worstStatus = worse(streak.worstStatus, check.status);
+    streak.checkCount++;
+    addError(streak.errors, check.error);
+
+    if (streak.checkCount >= INCIDENT_THRESHOLD) {
+      streaks.delete(key);
+      const incident = { id: randomUUID(), registryName, url, endedAt: null, ...streak };
+      incidents.push(incident);
+      openByKey.set(key, incident);
+      console.log(`  incident opened: ${registryName} (${url}) ${streak.worstStatus}`);
+    }
+    return;
+  }
+
+  streaks.delete(key);
+  if (open) closeIncident(key, open, check.timestamp);
+}
+
+function closeIncident(key, incident, endedAt) {
+  incident.endedAt = endedAt;
+  openByKey.delete(key);
+  console.log(`  incident closed: ${incident.registryName} (${incident.url}) after ${Math.round((endedAt - incident.startedAt) / 60000)} min`);
+}
+
+/**
+ * Close any open incident for a remote that is no longer monitored.
+ * @param {string} key - History key ("registryName|url")
+ */
+export function retireIncidents(key) {
+  streaks.delete(key);
+  const open = openByKey.get(key);
+  if (open) closeIncident(key, open, Date.now());
+}
+
+function toApi(incident) {
+  const end = incident.endedAt ?? Date.now();
+  return {
+    id: incident.id,
+    registryName: incident.registryName,
+    url: incident.url,
+    active: incident.endedAt === null,
+    startedAt: new Date(incident.startedAt).toISOString(),
+    endedAt: incident.endedAt !== null ? new Date(incident.endedAt).toISOString() : null,
+    durationMs: end - incident.startedAt,
+    worstStatus: incident.worstStatus,
+    checkCount: incident.checkCount,
+    errors: incident.errors,
+  };
+}
+
+/**
+ * List incidents, newest first.
+ * @param {Object} [filter]
+ * @param {string} [filter.registryName]
+ * @param {boolean} [filter.activeOnly]
+ * @param {number} [filter.limit]
+ */
+export function listIncidents(filter = {}) {
+  const result = [];
+  for (let i = incidents.length - 1; i >= 0; i--) {
+    const incident = incidents[i];
+    if (filter.registryName && incident.registryName !== filter.registryName) continue;
+    if (filter.activeOnly && incident.endedAt !== null) continue;
+    result.push(toApi(incident));
+    if (filter.limit && result.length >= filter.limit) break;
+  }
+  return result;
+}
+
+// --- Persistence ---
+/**
+ * @param {string} file - Path to incidents.json
+ * @param {(key: string) => boolean} keep - Whether a remote is still monitored
+ */
+export function loadIncidents(file, keep) {
+  try {
+    if (existsSync(file)) {
+      const cutoff = Date.now() - RETENTION_MS;
+      incidents = JSON.parse(readFileSync(file, 'utf-8'))
+        .filter(i => i.endedAt === null || i.endedAt > cutoff);
+      for (const incident of incidents) {
+        if (incident.endedAt !== null) continue;
+        const key = `${incident.registryName}|${incident.url}`;
+        // Removed while we were down: nothing will ever close it
+        if (!keep(key)) incident.endedAt = Date.now();
+        else openByKey.set(key, incident);
+      }
+      console.log(`Loaded ${incidents.length} incidents from ${file}`);
+    }
+  } catch (err) {
+    console.error(`Failed to load incidents: ${err.message}`);
+  }
+}
+
+export function persistIncidents(file) {
+  try {
+    const cutoff = Date.now() - RETENTION_MS;
+    incidents = incidents.filter(i => i.endedAt === null || i.endedAt > cutoff);
+    mkdirSync(dirname(file), { recursive: true });
+    writeFileSync(file, JSON.stringify(incidents));
+    console.log(`Persisted incidents to ${file}`);
+  } catch (err) {
+    console.error(`Failed to persist incidents: ${err.message}`);
+  }
+}
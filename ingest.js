@@ -12,11 +12,13 @@
 import { readFileSync, writeFileSync, mkdirSync, existsSync } from 'fs';
 import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
+import { checkHost, egressFetch } from './egress.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
-const REGISTRY_BASE = 'https://registry.modelcontextprotocol.io/v0.1/servers';
+// A self-hosted registry on a private address also needs EGRESS_MODE=internal and EGRESS_ALLOW
+const REGISTRY_BASE = process.env.REGISTRY_URL || 'https://registry.modelcontextprotocol.io/v0.1/servers';
 const DATA_DIR = join(__dirname, 'data');
 const SERVERS_FILE = join(DATA_DIR, 'servers.json');
 const CHANGELOG_FILE = join(DATA_DIR, 'changelog.json');
@@ -64,6 +66,7 @@ export async function runIngest(opts = {}) {
   }
 
   // Write servers.json
+  carryOverLocalSettings(oldProviders, providers);
   mkdirSync(DATA_DIR, { recursive: true });
   writeFileSync(SERVERS_FILE, JSON.stringify(providers, null, 2));
 
@@ -206,6 +209,8 @@ function processServers(rawServers) {
       url: r.url,
       transport: r.type === 'sse' ? 'sse' : 'streamable-http',
       expectAuth: hasSecretHeaders(r),
+      ...secretHeaderNames(r),
+      ...(r.sseUrl ? { sseUrl: r.sseUrl } : {}),
       remoteName: deriveRemoteName(r.url, deduplicated),
     }));
 
@@ -238,9 +243,9 @@ function isBadUrl(url) {
   if (url.includes('{') || url.includes('}')) return true;
   try {
     const parsed = new URL(url);
-    const host = parsed.hostname;
-    if (host === 'localhost' || host === '127.0.0.1' || host === '0.0.0.0') return true;
-    if (!parsed.protocol.startsWith('http')) return true;
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') return true;
+    // Names that resolve to private addresses are refused when probed
+    if (checkHost(parsed.hostname)) return true;
   } catch {
     return true;
   }
@@ -309,6 +314,13 @@ function hasSecretHeaders(remote) {
   return remote.headers.some(h => h.isSecret === true);
 }
 
+// Names (never values) of the secret headers a remote declares, so credentials.js
+// can check configured headers against them
+function secretHeaderNames(remote) {
+  if (!hasSecretHeaders(remote)) return {};
+  return { secretHeaders: remote.headers.filter(h => h.isSecret === true && h.name).map(h => h.name) };
+}
+
 function deduplicateTransports(remotes) {
   const byHost = new Map();
   for (const r of remotes) {
@@ -330,9 +342,12 @@ function deduplicateTransports(remotes) {
     const hasSSE = hostRemotes.some(r => r.type === 'sse');
 
     if (hasStreamable && hasSSE) {
+      // The dropped SSE endpoint is kept as the streamable one's alternate,
+      // so a failed probe can be confirmed over the other transport
+      const sseUrl = hostRemotes.find(r => r.type === 'sse').url;
       for (const r of hostRemotes) {
         if (r.type === 'streamable-http') {
-          deduplicated.push(r);
+          deduplicated.push({ ...r, sseUrl });
         } else {
           removed++;
         }
@@ -491,6 +506,22 @@ function capitalize(str) {
   return str.charAt(0).toUpperCase() + str.slice(1);
 }
 
+// --- Local settings ---
+
+/** Hand-edited keys on provider entries that ingest must not drop */
+const LOCAL_PROVIDER_KEYS = ['healthPolicy', 'probeIntervalMs'];
+
+function carryOverLocalSettings(oldProviders, newProviders) {
+  const oldMap = new Map(oldProviders.map(p => [p.registryName, p]));
+  for (const provider of newProviders) {
+    const old = oldMap.get(provider.registryName);
+    if (!old) continue;
+    for (const key of LOCAL_PROVIDER_KEYS) {
+      if (old[key] !== undefined) provider[key] = old[key];
+    }
+  }
+}
+
 // --- Changelog ---
 function computeChangelog(oldProviders, newProviders) {
   const oldMap = new Map(oldProviders.map(p => [p.registryName, p]));
@@ -606,6 +637,7 @@ async function main() {
   }
 
   // Write servers.json
+  carryOverLocalSettings(oldProviders, providers);
   mkdirSync(DATA_DIR, { recursive: true });
   writeFileSync(SERVERS_FILE, JSON.stringify(providers, null, 2));
   console.log(`\n  Wrote ${providers.length} providers to ${SERVERS_FILE}`);
@@ -637,7 +669,7 @@ function delay(ms) {
 async function fetchWithRetry(url, retries) {
   for (let attempt = 1; attempt <= retries; attempt++) {
     try {
-      return await fetch(url, { signal: AbortSignal.timeout(15000) });
+      return await egressFetch(url, { signal: AbortSignal.timeout(15000) });
     } catch (err) {
       if (attempt === retries) throw err;
       console.warn(`  (retry ${attempt}/${retries} after ${err.message})`);
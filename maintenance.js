@@ -0,0 +1,173 @@
+/**
+ * maintenance.js — Declared maintenance windows.
+ *
+ * A window covers either every remote of a provider (registryName) or one
+ * remote URL, from start to end. server.js tags checks recorded inside a
+ * window with its id (check.maintenance); tagged checks don't count toward
+ * uptime and don't feed alerts, incidents or status transitions. Windows
+ * only apply to checks recorded while they are declared, so declare them
+ * before the maintenance starts.
+ *
+ * Windows are managed through the admin API and kept in
+ * data/maintenance.json until 90 days after they end.
+ */
+
+import { readFileSync, writeFileSync, mkdirSync, existsSync } from 'fs';
+import { dirname } from 'path';
+import { randomUUID } from 'crypto';
+import { z } from 'zod';
+
+const RETENTION_MS = 90 * 24 * 60 * 60 * 1000;
+// Longest window; anything longer is an outage, not maintenance
+const MAX_DURATION_MS = 14 * 24 * 60 * 60 * 1000;
+const MAX_WINDOWS = 1000;
+
+const WindowSchema = z.object({
+  registryName: z.string().min(1).optional(),
+  url: z.string().url().optional(),
+  start: z.string().datetime({ offset: true }),
+  end: z.string().datetime({ offset: true }),
+  reason: z.string().max(500).optional(),
+}).strict();
+
+// All windows, ordered by start: { id, registryName|null, url|null, start, end, reason, createdAt }
+let windows = [];
+
+function prune(now = Date.now()) {
+  windows = windows.filter(w => Date.parse(w.end) >= now - RETENTION_MS);
+}
+
+function describeIssues(error) {
+  return error.issues.map(i => (i.path.length > 0 ? `${i.path.join('.')}: ${i.message}` : i.message)).join('; ');
+}
+
+/**
+ * Validate a window's fields.
+ * @param {Object} input - { registryName | url, start, end, reason? }
+ * @param {(target: {registryName: string|null, url: string|null}) => boolean} isMonitored
+ * @returns {{fields: Object|null, error: string|null}}
+ */
+function validate(input, isMonitored) {
+  const parsed = WindowSchema.safeParse(input);
+  if (!parsed.success) return { fields: null, error: describeIssues(parsed.error) };
+  const { registryName, url, start, end, reason } = parsed.data;
+
+  if (!registryName === !url) return { fields: null, error: 'Expected exactly one of registryName or url' };
+  const startMs = Date.parse(start);
+  const endMs = Date.parse(end);
+  if (endMs <= startMs) return { fields: null, error: 'end must be after start' };
+  if (endMs - startMs > MAX_DURATION_MS) return { fields: null, error: 'Windows can be at most 14 days long' };
+  const target = { registryName: registryName ?? null, url: url ?? null };
+  if (!isMonitored(target)) return { fields: null, error: registryName ? 'Provider is not monitored' : 'No monitored remote has this URL' };
+
+  return {
+    fields: {
+      ...target,
+      start: new Date(startMs).toISOString(),
+      end: new Date(endMs).toISOString(),
+      reason: reason ?? null,
+    },
+    error: null,
+  };
+}
+
+/**
+ * Declare a window.
+ * @param {Object} input - { registryName | url, start, end, reason? }
+ * @param {(target: {registryName: string|null, url: string|null}) => boolean} isMonitored
+ * @returns {{window: Object|null, error: string|null}}
+ */
+export function addWindow(input, isMonitored) {
+  const { fields, error } = validate(input, isMonitored);
+  if (error) return { window: null, error };
+  if (Date.parse(fields.end) <= Date.now()) return { window: null, error: 'end is in the past' };
+  prune();
+  if (windows.length >= MAX_WINDOWS) return { window: null, error: `At most ${MAX_WINDOWS} windows can be kept` };
+
+  const window = { id: randomUUID(), ...fields, createdAt: new Date().toISOString() };
+  windows.push(window);
+  windows.sort((a, b) => Date.parse(a.start) - Date.parse(b.start));
+  return { window, error: null };
+}
+
+/**
+ * Change a window's times or reason; unspecified fields keep their values.
+ * @returns {{window: Object|null, error: string|null, notFound?: boolean}}
+ */
+export function updateWindow(id, changes, isMonitored) {
+  const existing = windows.find(w => w.id === id);
+  if (!existing) return { window: null, error: 'Maintenance window not found', notFound: true };
+  if (changes === null || typeof changes !== 'object') return { window: null, error: 'Expected a JSON object' };
+
+  const merged = {
+    ...(existing.registryName ? { registryName: existing.registryName } : { url: existing.url }),
+    start: existing.start,
+    end: existing.end,
+    ...(existing.reason !== null ? { reason: existing.reason } : {}),
+    ...changes,
+  };
+  const { fields, error } = validate(merged, isMonitored);
+  if (error) return { window: null, error };
+  Object.assign(existing, fields);
+  windows.sort((a, b) => Date.parse(a.start) - Date.parse(b.start));
+  return { window: existing, error: null };
+}
+
+/** @returns {boolean} whether a window was removed */
+export function removeWindow(id) {
+  const before = windows.length;
+  windows = windows.filter(w => w.id !== id);
+  return windows.length < before;
+}
+
+/**
+ * The window covering a remote at a point in time, if any.
+ * @param {string} registryName
+ * @param {string} url - Remote URL
+ * @param {number} timestamp - ms
+ * @returns {Object|null}
+ */
+export function activeWindow(registryName, url, timestamp) {
+  return windows.find(w =>
+    (w.registryName === registryName || w.url === url) &&
+    Date.parse(w.start) <= timestamp && timestamp < Date.parse(w.end)
+  ) ?? null;
+}
+
+/**
+ * Windows, ordered by start.
+ * @param {Object} [opts]
+ * @param {string} [opts.registryName] - Only windows covering this provider
+ * @param {string[]} [opts.urls] - ...or one of its remote URLs
+ * @param {boolean} [opts.current] - Only windows that haven't ended yet
+ */
+export function listWindows({ registryName, urls = [], current = false } = {}) {
+  const now = Date.now();
+  return windows.filter(w => {
+    if (current && Date.parse(w.end) <= now) return false;
+    if (registryName !== undefined && w.registryName !== registryName && !urls.includes(w.url)) return false;
+    return true;
+  });
+}
+
+// --- Persistence ---
+export function loadMaintenance(file) {
+  try {
+    if (existsSync(file)) {
+      windows = JSON.parse(readFileSync(file, 'utf-8'));
+      prune();
+      console.log(`Loaded ${windows.length} maintenance window(s) from ${file}`);
+    }
+  } catch (err) {
+    console.error(`Failed to load maintenance windows: ${err.message}`);
+  }
+}
+
+export function persistMaintenance(file) {
+  try {
+    mkdirSync(dirname(file), { recursive: true });
+    writeFileSync(file, JSON.stringify(windows, null, 2));
+  } catch (err) {
+    console.error(`Failed to persist maintenance windows: ${err.message}`);
+  }
+}
@@ -0,0 +1,190 @@
+/**
+ * metrics.js — Prometheus text exposition for /metrics.
+ *
+ * Counters and the ping latency histogram are accumulated here as results
+ * are recorded; per-remote gauges and process-level state are passed in
+ * by server.js at scrape time.
+ *
+ * The latency histogram is global rather than per remote to keep series
+ * cardinality manageable with 10k+ remotes; per-remote latency is exposed
+ * as a gauge of the latest check.
+ */
+
+import { LATENCY_BUCKETS_MS } from './rollups.js';
+
+const probesByStatus = new Map();
+const errorsByClass = new Map();
+const confirmationsByVerdict = new Map();
+const latency = { buckets: new Array(LATENCY_BUCKETS_MS.length).fill(0), count: 0, sum: 0 };
+
+/**
+ * Bucket a CheckResult's error into a coarse classification for counting.
+ * @returns {string|null} null when the check had no error
+ */
+export function classifyError(result) {
+  const msg = result.error;
+  if (!msg) return null;
+  if (msg === 'short-circuited') return 'short_circuited';
+  if (msg.startsWith('credentials')) return 'credentials';
+  if (msg.startsWith('rate limited')) return 'rate_limited';
+  if (msg.startsWith('OAuth discovery')) return 'oauth_discovery';
+  if (msg.includes('timed out')) return 'timeout';
+  if (msg.startsWith('ping failed')) return 'ping';
+  if (msg.startsWith('tools/list failed')) return 'tools_list';
+  if (/^(resources\/list|resources\/templates\/list|prompts\/list) failed/.test(msg)) return 'capability';
+  const http = msg.match(/^HTTP (\d)\d\d/);
+  if (http) return `http_${http[1]}xx`;
+  if (/ECONNREFUSED|ENOTFOUND|ECONNRESET|ETIMEDOUT|fetch failed/.test(msg)) return 'connection';
+  return 'protocol';
+}
+
+/** Count a recorded CheckResult. */
+export function observeProbe(result) {
+  probesByStatus.set(result.status, (probesByStatus.get(result.status) || 0) + 1);
+
+  const cls = classifyError(result);
+  if (cls) errorsByClass.set(cls, (errorsByClass.get(cls) || 0) + 1);
+
+  const verdict = result.confirmation?.verdict;
+  if (verdict) confirmationsByVerdict.set(verdict, (confirmationsByVerdict.get(verdict) || 0) + 1);
+
+  if (result.latencyMs !== null && result.latencyMs !== undefined) {
+    latency.count++;
+    latency.sum += result.latencyMs;
+    for (let i = 0; i < LATENCY_BUCKETS_MS.length; i++) {
+      if (result.latencyMs <= LATENCY_BUCKETS_MS[i]) latency.buckets[i]++;
+    }
+  }
+}
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function labels(obj) {
+  const parts = Object.entries(obj).map(([k, v]) => `${k}="${escapeLabel(v)}"`);
+  return parts.length > 0 ? `{${parts.join(',')}}` : '';
+}
+
+function header(lines, name, type, help) {
+  lines.push(`# HELP ${name} ${help}`);
+  lines.push(`# TYPE ${name} ${type}`);
+}
+
+/**
+ * Render all metrics in Prometheus text format.
+ *
+ * @param {Object} state
+ * @param {Object[]} state.remotes - { registryName, remoteName, url, status, latencyMs, toolCount }
+ * @param {Object} state.scheduler - { scheduled, running, overdue, modes, inFlight, completedTotal, lastLagMs,
+ *   deferredHosts, waitingProbes }
+ * @param {Object|null} state.ingest - { at, success, result } where result is the last successful runIngest() result
+ * @param {Object} state.stream - { clients } from stream.js
+ * @returns {string}
+ */
+export function renderMetrics({ remotes, scheduler, ingest, stream }) {
+  const lines = [];
+
+  // --- Per-remote gauges ---
+  header(lines, 'mcpdd_remote_status', 'gauge', 'Latest status of each remote (1 for the current status label)');
+  for (const r of remotes) {
+    lines.push(`mcpdd_remote_status${labels({ registry_name: r.registryName, remote_name: r.remoteName, url: r.url, status: r.status })} 1`);
+  }
+
+  header(lines, 'mcpdd_remote_up', 'gauge', 'Whether the remote\'s latest check was not down (unknown counts as up)');
+  for (const r of remotes) {
+    lines.push(`mcpdd_remote_up${labels({ registry_name: r.registryName, remote_name: r.remoteName, url: r.url })} ${r.status === 'down' ? 0 : 1}`);
+  }
+
+  header(lines, 'mcpdd_remote_latency_seconds', 'gauge', 'Ping latency of the remote\'s latest check');
+  for (const r of remotes) {
+    if (r.latencyMs === null) continue;
+    lines.push(`mcpdd_remote_latency_seconds${labels({ registry_name: r.registryName, remote_name: r.remoteName, url: r.url })} ${r.latencyMs / 1000}`);
+  }
+
+  header(lines, 'mcpdd_remote_tools', 'gauge', 'Tool count from the remote\'s latest successful tools/list');
+  for (const r of remotes) {
+    if (r.toolCount === null || r.toolCount === undefined) continue;
+    lines.push(`mcpdd_remote_tools${labels({ registry_name: r.registryName, remote_name: r.remoteName, url: r.url })} ${r.toolCount}`);
+  }
+
+  // --- Probe counters ---
+  header(lines, 'mcpdd_probes_total', 'counter', 'Probe results recorded, by status');
+  for (const [status, n] of probesByStatus) {
+    lines.push(`mcpdd_probes_total${labels({ status })} ${n}`);
+  }
+
+  header(lines, 'mcpdd_probe_errors_total', 'counter', 'Probe errors, by classification');
+  for (const [classification, n] of errorsByClass) {
+    lines.push(`mcpdd_probe_errors_total${labels({ classification })} ${n}`);
+  }
+
+  header(lines, 'mcpdd_probe_confirmations_total', 'counter', 'Failed probes re-checked before recording, by verdict (confirmed, transient, unconfirmed)');
+  for (const [verdict, n] of confirmationsByVerdict) {
+    lines.push(`mcpdd_probe_confirmations_total${labels({ verdict })} ${n}`);
+  }
+
+  header(lines, 'mcpdd_ping_latency_seconds', 'histogram', 'Ping latency across all probes');
+  LATENCY_BUCKETS_MS.forEach((bound, i) => {
+    lines.push(`mcpdd_ping_latency_seconds_bucket${labels({ le: bound / 1000 })} ${latency.buckets[i]}`);
+  });
+  lines.push(`mcpdd_ping_latency_seconds_bucket${labels({ le: '+Inf' })} ${latency.count}`);
+  lines.push(`mcpdd_ping_latency_seconds_sum ${latency.sum / 1000}`);
+  lines.push(`mcpdd_ping_latency_seconds_count ${latency.count}`);
+
+  // --- Scheduler ---
+  header(lines, 'mcpdd_probes_in_flight', 'gauge', 'Provider probes currently running');
+  lines.push(`mcpdd_probes_in_flight ${scheduler.inFlight}`);
+
+  header(lines, 'mcpdd_probes_overdue', 'gauge', 'Provider probes past their scheduled time, waiting for a free slot');
+  lines.push(`mcpdd_probes_overdue ${scheduler.overdue}`);
+
+  header(lines, 'mcpdd_scheduler_lag_seconds', 'gauge', 'How late the most recently started probe was relative to its schedule');
+  if (scheduler.lastLagMs !== null) lines.push(`mcpdd_scheduler_lag_seconds ${scheduler.lastLagMs / 1000}`);
+
+  header(lines, 'mcpdd_scheduled_providers', 'gauge', 'Scheduled providers by schedule mode');
+  for (const [mode, count] of Object.entries(scheduler.modes)) {
+    lines.push(`mcpdd_scheduled_providers{mode="${mode}"} ${count}`);
+  }
+
+  header(lines, 'mcpdd_hosts_deferred', 'gauge', 'Hosts not probed until their Retry-After passes');
+  lines.push(`mcpdd_hosts_deferred ${scheduler.deferredHosts}`);
+
+  header(lines, 'mcpdd_probes_waiting_for_host', 'gauge', 'Probes waiting for a per-host slot');
+  lines.push(`mcpdd_probes_waiting_for_host ${scheduler.waitingProbes}`);
+
+  header(lines, 'mcpdd_provider_probes_total', 'counter', 'Provider probes completed');
+  lines.push(`mcpdd_provider_probes_total ${scheduler.completedTotal}`);
+
+  // --- Live stream ---
+  header(lines, 'mcpdd_stream_clients', 'gauge', 'Dashboard clients connected to /api/stream');
+  lines.push(`mcpdd_stream_clients ${stream.clients}`);
+
+  // --- Ingest ---
+  header(lines, 'mcpdd_ingest_last_run_timestamp_seconds', 'gauge', 'Unix time of the last auto-ingest attempt');
+  if (ingest) lines.push(`mcpdd_ingest_last_run_timestamp_seconds ${ingest.at / 1000}`);
+
+  header(lines, 'mcpdd_ingest_last_success', 'gauge', 'Whether the last auto-ingest attempt succeeded');
+  if (ingest) lines.push(`mcpdd_ingest_last_success ${ingest.success ? 1 : 0}`);
+
+  header(lines, 'mcpdd_ingest_providers', 'gauge', 'Provider count from the last successful ingest');
+  if (ingest?.result) lines.push(`mcpdd_ingest_providers ${ingest.result.providerCount}`);
+
+  header(lines, 'mcpdd_ingest_changes', 'gauge', 'Changelog counts from the last successful ingest');
+  if (ingest?.result) {
+    for (const change of ['added', 'removed', 'changed']) {
+      lines.push(`mcpdd_ingest_changes${labels({ change })} ${ingest.result[change]}`);
+    }
+  }
+
+  // --- Process ---
+  const mem = process.memoryUsage();
+  header(lines, 'process_resident_memory_bytes', 'gauge', 'Resident memory size in bytes');
+  lines.push(`process_resident_memory_bytes ${mem.rss}`);
+  header(lines, 'nodejs_heap_used_bytes', 'gauge', 'V8 heap used in bytes');
+  lines.push(`nodejs_heap_used_bytes ${mem.heapUsed}`);
+  header(lines, 'process_uptime_seconds', 'gauge', 'Process uptime in seconds');
+  lines.push(`process_uptime_seconds ${process.uptime()}`);
+
+  return lines.join('\n') + '\n';
+}
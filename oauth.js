@@ -0,0 +1,215 @@
+/**
+ * oauth.js — OAuth discovery validation for auth-protected MCP servers.
+ *
+ * Follows what an MCP client does after a 401: read the protected resource
+ * metadata (RFC 9728) named by WWW-Authenticate, or found at the
+ * well-known URI, then fetch the authorization server's metadata
+ * (RFC 8414, falling back to OpenID Connect discovery). It checks the
+ * fields clients depend on, PKCE S256 support (required by MCP) and a way
+ * for clients to register (dynamic client registration or client ID
+ * metadata documents).
+ *
+ * The outcome is an authHealth sub-status:
+ *   healthy  — discovery works end to end
+ *   degraded — clients can get through but something is off (warnings)
+ *   down     — a client following the spec can't complete discovery (errors)
+ *
+ * The metadata URLs come from the server under test, so they are fetched
+ * under the egress policy (egress.js).
+ */
+
+import { egressFetch } from './egress.js';
+
+const FETCH_TIMEOUT_MS = 5000;
+
+/**
+ * Parse the resource_metadata parameter from a Bearer challenge.
+ * @param {string|null} header - WWW-Authenticate value
+ */
+function resourceMetadataParam(header) {
+  if (!header) return null;
+  const match = header.match(/resource_metadata\s*=\s*(?:"([^"]*)"|([^\s,]+))/i);
+  return match ? (match[1] ?? match[2]) : null;
+}
+
+/** RFC 9728/8414 well-known URI: inserted between the origin and the path. */
+function wellKnown(base, suffix) {
+  const url = new URL(base);
+  const path = url.pathname === '/' ? '' : url.pathname.replace(/\/$/, '');
+  return `${url.origin}/.well-known/${suffix}${path}`;
+}
+
+/**
+ * Whether a WWW-Authenticate value includes a Bearer challenge.
+ * @param {string|null} header
+ */
+export function isBearerChallenge(header) {
+  return !!header && /(?:^|,)\s*bearer(?:\s|,|$)/i.test(header);
+}
+
+async function fetchJson(fetchFn, url, signal) {
+  const timeout = AbortSignal.timeout(FETCH_TIMEOUT_MS);
+  const res = await fetchFn(url, {
+    headers: { Accept: 'application/json' },
+    signal: signal ? AbortSignal.any([signal, timeout]) : timeout,
+  });
+  if (!res.ok) {
+    await res.body?.cancel();
+    throw new Error(`HTTP ${res.status}`);
+  }
+  const data = await res.json().catch(() => {
+    throw new Error('not valid JSON');
+  });
+  if (!data || typeof data !== 'object' || Array.isArray(data)) throw new Error('not a JSON object');
+  return data;
+}
+
+/** Try candidate URLs in order, returning the first document that loads. */
+async function firstDocument(fetchFn, urls, signal) {
+  const failures = [];
+  for (const url of urls) {
+    if (signal?.aborted) {
+      failures.push(`${url}: probe timeout reached`);
+      continue;
+    }
+    try {
+      return { url, data: await fetchJson(fetchFn, url, signal) };
+    } catch (err) {
+      failures.push(`${url}: ${err.message}`);
+    }
+  }
+  return { url: null, data: null, failures };
+}
+
+// http is accepted for loopback hosts, for local development
+function isHttpsUrl(value) {
+  try {
+    const url = new URL(value);
+    return url.protocol === 'https:' || url.hostname === 'localhost' || url.hostname === '127.0.0.1';
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Validate OAuth discovery for a server that answered 401 with a Bearer challenge.
+ *
+ * @param {URL} resourceUrl - The MCP endpoint
+ * @param {string} challenge - WWW-Authenticate header from the 401
+ * @param {typeof fetch} [fetchFn] - Must apply the egress policy
+ * @param {AbortSignal} [signal] - Ends discovery early, e.g. at the probe's deadline
+ * @returns {Promise<Object>} authHealth: { status, resourceMetadataUrl, authorizationServer,
+ *   registration, pkceMethods, issues: [{ severity, message }] }
+ */
+export async function checkOAuthDiscovery(resourceUrl, challenge, fetchFn = egressFetch, signal) {
+  const issues = [];
+  const error = message => issues.push({ severity: 'error', message });
+  const warning = message => issues.push({ severity: 'warning', message });
+  const health = {
+    status: 'healthy',
+    resourceMetadataUrl: null,
+    authorizationServer: null,
+    registration: null,
+    pkceMethods: null,
+    issues,
+  };
+  const finish = () => {
+    health.status = issues.some(i => i.severity === 'error') ? 'down'
+      : issues.length > 0 ? 'degraded' : 'healthy';
+    return health;
+  };
+
+  // --- Protected resource metadata ---
+  const advertised = resourceMetadataParam(challenge);
+  if (!advertised) warning('WWW-Authenticate has no resource_metadata parameter, using the well-known URI');
+
+  let candidates;
+  if (advertised) {
+    try {
+      candidates = [new URL(advertised, resourceUrl).href];
+    } catch {
+      error(`resource_metadata is not a valid URL: ${advertised}`);
+      return finish();
+    }
+  } else {
+    candidates = [...new Set([
+      wellKnown(resourceUrl, 'oauth-protected-resource'),
+      wellKnown(resourceUrl.origin, 'oauth-protected-resource'),
+    ])];
+  }
+
+  const prm = await firstDocument(fetchFn, candidates, signal);
+  if (!prm.data) {
+    error(`protected resource metadata unavailable (${prm.failures.join('; ')})`);
+    return finish();
+  }
+  health.resourceMetadataUrl = prm.url;
+
+  if (typeof prm.data.resource !== 'string') {
+    error('protected resource metadata has no "resource"');
+  } else {
+    const expected = resourceUrl.href.replace(/\/$/, '');
+    const actual = prm.data.resource.replace(/\/$/, '');
+    if (actual !== expected && actual !== resourceUrl.origin) {
+      warning(`protected resource metadata "resource" is ${prm.data.resource}, expected ${resourceUrl.href}`);
+    }
+  }
+
+  const servers = prm.data.authorization_servers;
+  if (!Array.isArray(servers) || servers.length === 0 || typeof servers[0] !== 'string') {
+    error('protected resource metadata has no "authorization_servers"');
+    return finish();
+  }
+
+  // --- Authorization server metadata ---
+  const issuer = servers[0];
+  health.authorizationServer = issuer;
+  if (!isHttpsUrl(issuer)) {
+    error(`authorization server ${issuer} is not an https URL`);
+    return finish();
+  }
+
+  const asm = await firstDocument(fetchFn, [
+    wellKnown(issuer, 'oauth-authorization-server'),
+    wellKnown(issuer, 'openid-configuration'),
+    // OpenID Connect Discovery 1.0 appends rather than inserts
+    `${issuer.replace(/\/$/, '')}/.well-known/openid-configuration`,
+  ], signal);
+  if (!asm.data) {
+    error(`authorization server metadata unavailable (${asm.failures.join('; ')})`);
+    return finish();
+  }
+  const meta = asm.data;
+
+  if (typeof meta.issuer !== 'string') {
+    error('authorization server metadata has no "issuer"');
+  } else if (meta.issuer.replace(/\/$/, '') !== issuer.replace(/\/$/, '')) {
+    warning(`authorization server metadata "issuer" is ${meta.issuer}, expected ${issuer}`);
+  }
+  for (const field of ['authorization_endpoint', 'token_endpoint']) {
+    if (typeof meta[field] !== 'string') error(`authorization server metadata has no "${field}"`);
+    else if (!isHttpsUrl(meta[field])) error(`"${field}" is not an https URL`);
+  }
+  if (!Array.isArray(meta.response_types_supported) || !meta.response_types_supported.includes('code')) {
+    warning('"response_types_supported" does not include "code"');
+  }
+
+  // MCP clients must use PKCE with S256 and refuse servers that don't advertise it
+  health.pkceMethods = Array.isArray(meta.code_challenge_methods_supported) ? meta.code_challenge_methods_supported : [];
+  if (health.pkceMethods.length === 0) {
+    error('"code_challenge_methods_supported" is missing, so clients can\'t confirm PKCE support');
+  } else if (!health.pkceMethods.includes('S256')) {
+    error(`PKCE S256 is not supported (only ${health.pkceMethods.join(', ')})`);
+  }
+
+  if (typeof meta.registration_endpoint === 'string') {
+    health.registration = 'dynamic';
+    if (!isHttpsUrl(meta.registration_endpoint)) error('"registration_endpoint" is not an https URL');
+  } else if (meta.client_id_metadata_document_supported === true) {
+    health.registration = 'client-id-metadata';
+  } else {
+    warning('no dynamic client registration or client ID metadata document support; clients need pre-registered credentials');
+  }
+
+  return finish();
+}
@@ -0,0 +1,300 @@
+/**
+ * overlay.js — Providers managed outside the MCP Registry.
+ *
+ * Private MCP servers that will never be listed in the registry are added
+ * through the admin API and kept in data/custom-providers.json, which
+ * ingest never touches. server.js merges them with the ingested registry
+ * providers on every reload; each provider carries its source, 'registry'
+ * or 'manual'. A manual provider shadows a registry provider of the same
+ * name.
+ *
+ * Manual providers and their remotes can be disabled without deleting
+ * them; disabled entries stay in the file but aren't monitored. Their
+ * URLs are held to the same egress policy as registry remotes, so private
+ * hosts need EGRESS_MODE=internal and EGRESS_ALLOW.
+ */
+
+import { readFileSync, writeFileSync, mkdirSync, existsSync } from 'fs';
+import { dirname } from 'path';
+import { z } from 'zod';
+import { checkHost } from './egress.js';
+import { MIN_INTERVAL_MS } from './scheduler.js';
+import { policyErrors } from './policy.js';
+
+const MAX_PROVIDERS = 1000;
+const MAX_REMOTES = 20;
+// Registry-style names ("io.github.acme/server"); '|' would break history keys
+const NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._-]*(\/[A-Za-z0-9._-]+)?$/;
+const REMOTE_NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._-]*$/;
+
+const httpUrl = z.string().url().regex(/^https?:\/\//i, 'Expected an http(s) URL');
+
+const remoteFields = {
+  url: httpUrl,
+  transport: z.enum(['streamable-http', 'sse']),
+  expectAuth: z.boolean(),
+  secretHeaders: z.array(z.string().min(1).max(100)).max(20).nullable(),
+  sseUrl: httpUrl.nullable(),
+  disabled: z.boolean(),
+};
+
+const providerFields = {
+  displayName: z.string().trim().min(1).max(200),
+  // The scheduler ignores shorter intervals
+  probeIntervalMs: z.number().int().min(MIN_INTERVAL_MS).nullable(),
+  // Checked like policy.js checks the files it loads, but rejected here instead of dropped later
+  healthPolicy: z.record(z.unknown()).superRefine((policy, ctx) => {
+    for (const message of policyErrors(policy)) ctx.addIssue({ code: z.ZodIssueCode.custom, message });
+  }).nullable(),
+  disabled: z.boolean(),
+};
+
+const RemoteSchema = z.object({
+  remoteName: z.string().max(100).regex(REMOTE_NAME_PATTERN, 'Expected letters, digits, ".", "_" or "-"').optional(),
+  ...remoteFields,
+}).partial({ transport: true, expectAuth: true, secretHeaders: true, sseUrl: true, disabled: true }).strict();
+
+const RemoteChangesSchema = z.object(remoteFields).partial().strict();
+
+const ProviderSchema = z.object({
+  registryName: z.string().max(200).regex(NAME_PATTERN, 'Expected a registry-style name such as "com.example/server"'),
+  ...providerFields,
+  remotes: z.array(RemoteSchema).min(1).max(MAX_REMOTES),
+}).partial({ displayName: true, probeIntervalMs: true, healthPolicy: true, disabled: true }).strict();
+
+const ProviderChangesSchema = z.object(providerFields).partial().strict();
+
+// Manual providers as stored, in the order they were added:
+// { registryName, displayName, probeIntervalMs?, healthPolicy?, disabled, remotes: [
+//   { remoteName, url, transport, expectAuth, secretHeaders?, sseUrl?, disabled }], createdAt, updatedAt }
+let entries = [];
+
+function describeIssues(error) {
+  return error.issues.map(i => (i.path.length > 0 ? `${i.path.join('.')}: ${i.message}` : i.message)).join('; ');
+}
+
+// Nullable optional fields are dropped rather than stored as null
+function applyChanges(target, changes) {
+  for (const [key, value] of Object.entries(changes)) {
+    if (value === null) delete target[key];
+    else target[key] = value;
+  }
+  return target;
+}
+
+function buildRemote(input) {
+  const { remoteName, url, ...fields } = input;
+  return applyChanges({ remoteName, url, transport: 'streamable-http', expectAuth: false, disabled: false }, fields);
+}
+
+/**
+ * Remote names and URLs must be unique within a provider (URLs key the
+ * history), and URLs the egress policy refuses outright are rejected.
+ */
+function checkRemotes(remotes) {
+  const names = new Set();
+  const urls = new Set();
+  for (const remote of remotes) {
+    if (names.has(remote.remoteName)) return `Duplicate remoteName "${remote.remoteName}"`;
+    if (urls.has(remote.url)) return `Duplicate remote URL ${remote.url}`;
+    for (const url of [remote.url, remote.sseUrl].filter(Boolean)) {
+      const refused = checkHost(new URL(url).hostname);
+      if (refused) return `${url} is blocked by the egress policy: ${refused}`;
+    }
+    names.add(remote.remoteName);
+    urls.add(remote.url);
+  }
+  return null;
+}
+
+function withSource(entry) {
+  return { ...entry, source: 'manual' };
+}
+
+/** All manual providers, disabled ones included. */
+export function listCustomProviders() {
+  return entries.map(withSource);
+}
+
+/** @returns {Object|null} the manual provider of this name */
+export function getCustomProvider(registryName) {
+  const entry = entries.find(e => e.registryName === registryName);
+  return entry ? withSource(entry) : null;
+}
+
+/**
+ * Add a manual provider.
+ * @param {Object} input - { registryName, displayName?, remotes: [{ url, remoteName?, transport?, ... }], ... }
+ * @param {(registryName: string) => boolean} inRegistry - Whether the registry has a provider of this name
+ * @returns {{provider: Object|null, error: string|null, conflict?: boolean}}
+ */
+export function addProvider(input, inRegistry) {
+  const parsed = ProviderSchema.safeParse(input);
+  if (!parsed.success) return { provider: null, error: describeIssues(parsed.error) };
+  const { registryName, remotes, ...fields } = parsed.data;
+
+  if (entries.some(e => e.registryName === registryName)) {
+    return { provider: null, error: 'A manual provider with this name already exists', conflict: true };
+  }
+  if (inRegistry(registryName)) {
+    return { provider: null, error: 'The registry already has a provider with this name', conflict: true };
+  }
+  if (entries.length >= MAX_PROVIDERS) return { provider: null, error: `At most ${MAX_PROVIDERS} manual providers can be kept` };
+  if (remotes.length > 1 && remotes.some(r => !r.remoteName)) {
+    return { provider: null, error: 'remoteName is required when a provider has several remotes' };
+  }
+
+  const built = remotes.map(r => buildRemote({ ...r, remoteName: r.remoteName ?? 'default' }));
+  const duplicate = checkRemotes(built);
+  if (duplicate) return { provider: null, error: duplicate };
+
+  const now = new Date().toISOString();
+  const entry = applyChanges({ registryName, displayName: registryName, disabled: false }, fields);
+  entry.remotes = built;
+  entry.createdAt = now;
+  entry.updatedAt = now;
+  entries.push(entry);
+  return { provider: withSource(entry), error: null };
+}
+
+/**
+ * Change a manual provider's fields; unspecified fields keep their values
+ * and null clears probeIntervalMs or healthPolicy.
+ * @returns {{provider: Object|null, error: string|null, notFound?: boolean}}
+ */
+export function updateProvider(registryName, changes) {
+  const entry = entries.find(e => e.registryName === registryName);
+  if (!entry) return { provider: null, error: 'Manual provider not found', notFound: true };
+  const parsed = ProviderChangesSchema.safeParse(changes);
+  if (!parsed.success) return { provider: null, error: describeIssues(parsed.error) };
+
+  applyChanges(entry, parsed.data);
+  entry.updatedAt = new Date().toISOString();
+  return { provider: withSource(entry), error: null };
+}
+
+/** @returns {boolean} whether a provider was removed */
+export function removeProvider(registryName) {
+  const before = entries.length;
+  entries = entries.filter(e => e.registryName !== registryName);
+  return entries.length < before;
+}
+
+/**
+ * Add a remote to a manual provider.
+ * @param {string} registryName
+ * @param {Object} input - { remoteName, url, transport?, expectAuth?, secretHeaders?, sseUrl?, disabled? }
+ * @returns {{provider: Object|null, error: string|null, notFound?: boolean}}
+ */
+export function addRemote(registryName, input) {
+  const entry = entries.find(e => e.registryName === registryName);
+  if (!entry) return { provider: null, error: 'Manual provider not found', notFound: true };
+  const parsed = RemoteSchema.safeParse(input);
+  if (!parsed.success) return { provider: null, error: describeIssues(parsed.error) };
+  if (!parsed.data.remoteName) return { provider: null, error: 'remoteName is required' };
+  if (entry.remotes.length >= MAX_REMOTES) return { provider: null, error: `A provider can have at most ${MAX_REMOTES} remotes` };
+
+  const remotes = [...entry.remotes, buildRemote(parsed.data)];
+  const duplicate = checkRemotes(remotes);
+  if (duplicate) return { provider: null, error: duplicate };
+
+  entry.remotes = remotes;
+  entry.updatedAt = new Date().toISOString();
+  return { provider: withSource(entry), error: null };
+}
+
+/**
+ * Change a remote of a manual provider; null clears secretHeaders or sseUrl.
+ * @returns {{provider: Object|null, error: string|null, notFound?: boolean}}
+ */
+export function updateRemote(registryName, remoteName, changes) {
+  const entry = entries.find(e => e.registryName === registryName);
+  const index = entry ? entry.remotes.findIndex(r => r.remoteName === remoteName) : -1;
+  if (index === -1) return { provider: null, error: entry ? 'Remote not found' : 'Manual provider not found', notFound: true };
+  const parsed = RemoteChangesSchema.safeParse(changes);
+  if (!parsed.success) return { provider: null, error: describeIssues(parsed.error) };
+
+  const remotes = [...entry.remotes];
+  remotes[index] = applyChanges({ ...remotes[index] }, parsed.data);
+  const duplicate = checkRemotes(remotes);
+  if (duplicate) return { provider: null, error: duplicate };
+
+  entry.remotes = remotes;
+  entry.updatedAt = new Date().toISOString();
+  return { provider: withSource(entry), error: null };
+}
+
+/**
+ * Delete a remote of a manual provider. The last remote can't be deleted;
+ * delete or disable the provider instead.
+ * @returns {{provider: Object|null, error: string|null, notFound?: boolean}}
+ */
+export function removeRemote(registryName, remoteName) {
+  const entry = entries.find(e => e.registryName === registryName);
+  const index = entry ? entry.remotes.findIndex(r => r.remoteName === remoteName) : -1;
+  if (index === -1) return { provider: null, error: entry ? 'Remote not found' : 'Manual provider not found', notFound: true };
+  if (entry.remotes.length === 1) return { provider: null, error: 'Cannot delete the only remote; delete or disable the provider instead' };
+
+  entry.remotes = entry.remotes.filter((_, i) => i !== index);
+  entry.updatedAt = new Date().toISOString();
+  return { provider: withSource(entry), error: null };
+}
+
+/**
+ * Merge the manual providers into the registry provider list. Disabled
+ * providers and remotes are left out, as are providers with no enabled
+ * remote.
+ * @param {Object[]} registryProviders - As loaded from data/servers.json
+ * @returns {Object[]} provider configs, each with `source`
+ */
+export function mergeOverlay(registryProviders) {
+  const manualNames = new Set(entries.map(e => e.registryName));
+  const merged = [];
+  for (const provider of registryProviders) {
+    if (manualNames.has(provider.registryName)) {
+      console.error(`Manual provider ${provider.registryName} shadows the registry provider of the same name`);
+      continue;
+    }
+    merged.push({ ...provider, source: 'registry' });
+  }
+
+  for (const entry of entries) {
+    if (entry.disabled) continue;
+    const remotes = entry.remotes
+      .filter(r => !r.disabled)
+      .map(({ disabled, ...remote }) => remote);
+    if (remotes.length === 0) continue;
+    merged.push({
+      registryName: entry.registryName,
+      registryVersion: null,
+      displayName: entry.displayName,
+      sseOnly: remotes.every(r => r.transport === 'sse'),
+      ...(entry.probeIntervalMs !== undefined ? { probeIntervalMs: entry.probeIntervalMs } : {}),
+      ...(entry.healthPolicy !== undefined ? { healthPolicy: entry.healthPolicy } : {}),
+      remotes,
+      source: 'manual',
+    });
+  }
+  return merged;
+}
+
+// --- Persistence ---
+export function loadOverlay(file) {
+  try {
+    if (existsSync(file)) {
+      entries = JSON.parse(readFileSync(file, 'utf-8'));
+      console.log(`Loaded ${entries.length} manual provider(s) from ${file}`);
+    }
+  } catch (err) {
+    console.error(`Failed to load manual providers: ${err.message}`);
+  }
+}
+
+export function persistOverlay(file) {
+  try {
+    mkdirSync(dirname(file), { recursive: true });
+    writeFileSync(file, JSON.stringify(entries, null, 2));
+  } catch (err) {
+    console.error(`Failed to persist manual providers: ${err.message}`);
+  }
+}
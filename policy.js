@@ -0,0 +1,144 @@
+/**
+ * policy.js — Health policy: how probe outcomes map to statuses.
+ *
+ * Defaults below can be overridden globally with data/health-policy.json
+ * (or HEALTH_POLICY_FILE) and per provider with a `healthPolicy` object on
+ * its entry in data/servers.json. Overrides are shallow: any key given
+ * replaces the default, so `latencyTiers` must be given in full.
+ */
+
+import { readFileSync, existsSync } from 'fs';
+
+/** Status priority, worst first (lower is worse) */
+export const STATUS_PRIORITY = { down: 0, unhealthy: 1, degraded: 2, healthy: 3, 'rate-limited': 4, unknown: 5 };
+
+/** Statuses that carry no verdict on the server: nothing was probed, or it refused to be probed */
+export const NO_VERDICT = new Set(['unknown', 'rate-limited']);
+
+const POLICY_STATUSES = ['healthy', 'degraded', 'unhealthy', 'down'];
+
+export const DEFAULT_POLICY = {
+  // Checked in order against ping latency; the last tier should have maxMs: null
+  latencyTiers: [
+    { name: 'fast', maxMs: 500, status: 'healthy' },
+    { name: 'slow', maxMs: 2000, status: 'healthy' },
+    { name: 'very slow', maxMs: null, status: 'degraded' },
+  ],
+  // Fewer tools than this from tools/list yields `tooFewTools`
+  minTools: 0,
+  tooFewTools: 'degraded',
+  // 401/403 on connect for a server that is up but requires auth
+  authProtected: 'healthy',
+  // initialize succeeded but ping failed
+  pingFailure: 'degraded',
+  // initialize and ping succeeded but tools/list failed
+  toolsListFailure: 'unhealthy',
+  // an advertised resources/list, resources/templates/list or prompts/list failed
+  capabilityFailure: 'degraded',
+  // OAuth discovery after a Bearer 401 (oauth.js): errors mean spec-following clients can't sign in
+  authDiscoveryFailure: 'degraded',
+  authDiscoveryWarning: 'degraded',
+  // Before recording down, re-probe this many times (0 turns confirmation off);
+  // the check is only down if every attempt is
+  confirmations: 1,
+  confirmationDelayMs: 5000,
+  // Confirm a streamable HTTP remote over its SSE endpoint, when ingest found one
+  confirmOverOtherTransport: false,
+};
+
+const MAX_CONFIRMATIONS = 3;
+const MAX_CONFIRMATION_DELAY_MS = 60000;
+
+let globalPolicy = DEFAULT_POLICY;
+
+/**
+ * Check a (partial) policy.
+ * @param {Object} overrides
+ * @returns {{valid: Object, errors: string[]}} the valid keys, and a message per invalid one
+ */
+function checkPolicy(overrides) {
+  const valid = {};
+  const errors = [];
+  for (const [key, value] of Object.entries(overrides || {})) {
+    if (!(key in DEFAULT_POLICY)) {
+      errors.push(`unknown key "${key}"`);
+    } else if (key === 'latencyTiers') {
+      const ok = Array.isArray(value) && value.length > 0 &&
+        value.every(t => t?.name && POLICY_STATUSES.includes(t.status) && (t.maxMs === null || typeof t.maxMs === 'number')) &&
+        value[value.length - 1].maxMs === null;
+      if (ok) valid.latencyTiers = value;
+      else errors.push('invalid latencyTiers, each needs name/status/maxMs and the last maxMs must be null');
+    } else if (key === 'minTools') {
+      if (Number.isInteger(value) && value >= 0) valid.minTools = value;
+      else errors.push('minTools must be a non-negative integer');
+    } else if (key === 'confirmations') {
+      if (Number.isInteger(value) && value >= 0 && value <= MAX_CONFIRMATIONS) valid.confirmations = value;
+      else errors.push(`confirmations must be an integer from 0 to ${MAX_CONFIRMATIONS}`);
+    } else if (key === 'confirmationDelayMs') {
+      if (Number.isInteger(value) && value >= 0 && value <= MAX_CONFIRMATION_DELAY_MS) valid.confirmationDelayMs = value;
+      else errors.push(`confirmationDelayMs must be an integer from 0 to ${MAX_CONFIRMATION_DELAY_MS}`);
+    } else if (key === 'confirmOverOtherTransport') {
+      if (typeof value === 'boolean') valid.confirmOverOtherTransport = value;
+      else errors.push('confirmOverOtherTransport must be true or false');
+    } else if (POLICY_STATUSES.includes(value)) {
+      valid[key] = value;
+    } else {
+      errors.push(`${key} must be one of ${POLICY_STATUSES.join(', ')}`);
+    }
+  }
+  return { valid, errors };
+}
+
+/**
+ * Validate a (partial) policy, dropping invalid keys with a warning.
+ * @param {Object} overrides
+ * @param {string} source - Where the overrides came from, for log messages
+ */
+function validate(overrides, source) {
+  const { valid, errors } = checkPolicy(overrides);
+  for (const message of errors) console.error(`Health policy (${source}): ${message}`);
+  return valid;
+}
+
+/** Problems with a provider's `healthPolicy` overrides, for rejecting them when written. */
+export function policyErrors(overrides) {
+  return checkPolicy(overrides).errors;
+}
+
+export function loadPolicy(file) {
+  globalPolicy = DEFAULT_POLICY;
+  if (!existsSync(file)) return;
+  try {
+    const overrides = JSON.parse(readFileSync(file, 'utf-8'));
+    globalPolicy = { ...DEFAULT_POLICY, ...validate(overrides, file) };
+    console.log(`Loaded health policy from ${file}`);
+  } catch (err) {
+    console.error(`Failed to load health policy: ${err.message}`);
+  }
+}
+
+export function getGlobalPolicy() {
+  return globalPolicy;
+}
+
+// Resolved per-provider policies; provider objects are replaced on reload
+const resolved = new WeakMap();
+
+/** Effective policy for a provider: global policy plus its `healthPolicy` overrides. */
+export function resolvePolicy(provider) {
+  if (!provider.healthPolicy) return globalPolicy;
+  if (!resolved.has(provider)) {
+    resolved.set(provider, { ...globalPolicy, ...validate(provider.healthPolicy, provider.registryName) });
+  }
+  return resolved.get(provider);
+}
+
+export function worseStatus(a, b) {
+  return (STATUS_PRIORITY[a] ?? STATUS_PRIORITY.unknown) <= (STATUS_PRIORITY[b] ?? STATUS_PRIORITY.unknown) ? a : b;
+}
+
+/** Find the latency tier for a ping latency. */
+export function latencyTier(policy, latencyMs) {
+  const tiers = policy.latencyTiers;
+  return tiers.find(t => t.maxMs === null || latencyMs <= t.maxMs) || tiers[tiers.length - 1];
+}
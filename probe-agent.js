@@ -0,0 +1,182 @@
+/**
+ * probe-agent.js — Remote probe agent for distributed probing.
+ *
+ * Probes remotes from another vantage point on behalf of a central mcpdd
+ * server (the coordinator): it pulls the list of remotes to check from
+ * /api/agent/assignment, runs probeServer() on each and posts the results
+ * to /api/agent/results, every request signed with the agent's secret
+ * (see agents.js). The coordinator serves the assignment at its own probe
+ * interval and decides each remote's status by quorum across vantages.
+ *
+ * Credentials for auth-protected servers come from the agent's own
+ * SECRETS_FILE and MCPDD_AUTH_* env vars, as for the server; the
+ * coordinator never hands out secrets, and errors are redacted here
+ * before they leave the agent.
+ *
+ * Usage:
+ *   COORDINATOR_URL=http://localhost:3000 AGENT_ID=eu-west AGENT_SECRET=... node probe-agent.js [--once]
+ */
+
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { probeServer } from './prober.js';
+import { egressSummary } from './egress.js';
+import { signRequest } from './agents.js';
+import { loadCredentials, getAuthHeaders, forgetToken, redact } from './credentials.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const COORDINATOR_URL = process.env.COORDINATOR_URL;
+const AGENT_ID = process.env.AGENT_ID;
+const AGENT_SECRET = process.env.AGENT_SECRET;
+const MAX_CONCURRENT_PROBES = parseInt(process.env.MAX_CONCURRENT_PROBES || '15');
+const SECRETS_FILE = process.env.SECRETS_FILE || join(__dirname, 'data', 'secrets.json');
+const ONCE = process.argv.includes('--once');
+const REQUEST_TIMEOUT_MS = 30000;
+// Wait this long before asking again when the coordinator can't be reached
+const RETRY_MS = 30000;
+// Results are posted in batches as probes finish
+const BATCH_SIZE = 100;
+
+let credentialNames = '';
+
+/**
+ * Signed request to the coordinator.
+ * @param {string} method
+ * @param {string} path - Absolute path on the coordinator
+ * @param {Object} [payload] - JSON body
+ */
+async function request(method, path, payload) {
+  const url = new URL(path, COORDINATOR_URL);
+  const body = payload === undefined ? '' : JSON.stringify(payload);
+  const headers = {
+    ...signRequest(AGENT_ID, AGENT_SECRET, method, url.pathname + url.search, body),
+    'User-Agent': 'mcpdd-agent',
+  };
+  if (body) headers['Content-Type'] = 'application/json';
+
+  const res = await fetch(url, {
+    method,
+    headers,
+    body: body || undefined,
+    signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+  });
+  const data = await res.json().catch(() => null);
+  if (!res.ok) throw new Error(`${method} ${url.pathname}: HTTP ${res.status}${data?.error ? ` (${data.error})` : ''}`);
+  return data;
+}
+
+async function parallelLimit(tasks, limit) {
+  let i = 0;
+  const workers = Array.from({ length: Math.min(limit, tasks.length) }, async () => {
+    while (i < tasks.length) {
+      const idx = i++;
+      await tasks[idx]();
+    }
+  });
+  await Promise.all(workers);
+}
+
+async function probeRemote(remote, policy) {
+  let headers;
+  try {
+    headers = await getAuthHeaders(remote.registryName);
+  } catch (err) {
+    return {
+      timestamp: Date.now(),
+      status: 'unknown',
+      auth: 'protected',
+      latencyMs: null,
+      toolCount: null,
+      authenticated: null,
+      error: `credentials: ${err.message}`,
+    };
+  }
+
+  const result = await probeServer({
+    url: remote.url,
+    transport: remote.transport,
+    expectAuth: remote.expectAuth,
+    secretHeaders: remote.secretHeaders,
+    policy: remote.policy || policy,
+    headers: headers || undefined,
+    alternate: remote.sseUrl ? { url: remote.sseUrl, transport: 'sse' } : undefined,
+  });
+  if (result.authenticated === false) forgetToken(remote.registryName);
+  return result;
+}
+
+/** Run one assignment; returns the coordinator's probe interval. */
+async function runCycle() {
+  const assignment = await request('GET', '/api/agent/assignment');
+  const startTime = Date.now();
+
+  // MCPDD_AUTH_* env vars are matched against registry names, which may be new
+  const names = [...new Set(assignment.remotes.map(r => r.registryName))].sort();
+  if (names.join('\n') !== credentialNames) {
+    loadCredentials(SECRETS_FILE, names);
+    credentialNames = names.join('\n');
+  }
+
+  console.log(`\n--- Agent ${AGENT_ID}: probing ${assignment.remotes.length} remotes ---`);
+  let pending = [];
+  let posted = 0;
+  const flush = async () => {
+    const batch = pending;
+    pending = [];
+    if (batch.length === 0) return;
+    try {
+      const { accepted, rejected } = await request('POST', '/api/agent/results', { results: batch });
+      posted += accepted;
+      for (const r of rejected) console.error(`  rejected ${batch[r.index]?.registryName}: ${r.error}`);
+    } catch (err) {
+      console.error(`Failed to post ${batch.length} result(s): ${err.message}`);
+    }
+  };
+
+  const tasks = assignment.remotes.map(remote => async () => {
+    // The coordinator keeps tool catalogs from its own probes only
+    const { tools, ...check } = await probeRemote(remote, assignment.policy);
+    if (check.error) check.error = redact(check.error);
+    pending.push({ registryName: remote.registryName, url: remote.url, check });
+    console.log(
+      `  ${remote.registryName.substring(0, 30).padEnd(32)} ${check.status.padEnd(10)} ` +
+      `latency=${check.latencyMs !== null ? check.latencyMs + 'ms' : '---'}`
+    );
+    if (pending.length >= BATCH_SIZE) await flush();
+  });
+  await parallelLimit(tasks, MAX_CONCURRENT_PROBES);
+  await flush();
+
+  const elapsed = Date.now() - startTime;
+  console.log(`--- Agent ${AGENT_ID}: cycle complete in ${(elapsed / 1000).toFixed(1)}s, ${posted} result(s) accepted ---`);
+  return { intervalMs: assignment.probeIntervalMs, elapsed };
+}
+
+async function main() {
+  if (!COORDINATOR_URL || !AGENT_ID || !AGENT_SECRET) {
+    console.error('COORDINATOR_URL, AGENT_ID and AGENT_SECRET are required');
+    process.exit(1);
+  }
+  console.log(`mcpdd probe agent ${AGENT_ID} reporting to ${COORDINATOR_URL}, ${egressSummary()}`);
+
+  while (true) {
+    let delay;
+    try {
+      const { intervalMs, elapsed } = await runCycle();
+      delay = Math.max(0, intervalMs - elapsed);
+    } catch (err) {
+      console.error(`Agent cycle failed: ${err.message}`);
+      if (ONCE) process.exit(1);
+      delay = RETRY_MS;
+    }
+    if (ONCE) break;
+    await new Promise(resolve => setTimeout(resolve, delay));
+  }
+}
+
+process.on('SIGTERM', () => process.exit(0));
+process.on('SIGINT', () => process.exit(0));
+
+main();
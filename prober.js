@@ -1,59 +1,316 @@
 import { Client } from '@modelcontextprotocol/sdk/client/index.js';
 import { StreamableHTTPClientTransport } from '@modelcontextprotocol/sdk/client/streamableHttp.js';
 import { SSEClientTransport } from '@modelcontextprotocol/sdk/client/sse.js';
+import { DEFAULT_POLICY, NO_VERDICT, latencyTier, worseStatus } from './policy.js';
+import { createConformanceRecorder } from './conformance.js';
+import { checkOAuthDiscovery, isBearerChallenge } from './oauth.js';
+import { hostOf, acquireHost, deferHost, hostDeferredUntil, parseRetryAfter } from './hostlimit.js';
+import { createEgressFetch, createPinnedFetch } from './egress.js';
 
 const PROBE_TIMEOUT_MS = parseInt(process.env.PROBE_TIMEOUT_MS || '10000');
+const CONFORMANCE_CHECKS = process.env.CONFORMANCE_CHECKS !== 'false';
+const OAUTH_DISCOVERY_CHECKS = process.env.OAUTH_DISCOVERY_CHECKS !== 'false';
+// Discovery stops this long before PROBE_TIMEOUT_MS, so its outcome lands before the probe times out
+const DISCOVERY_MARGIN_MS = 500;
+// Cap on list pages followed per probe, in case a server never stops paginating
+const MAX_LIST_PAGES = 20;
 
 /**
  * Probe a single MCP server and return a CheckResult.
  *
- * @param {Object} serverConfig - { id, name, url, transport, expectAuth }
- * @returns {Promise<Object>} CheckResult: { timestamp, status, auth, latencyMs, toolCount, error }
+ * @param {Object} serverConfig - { id, name, url, transport, expectAuth, secretHeaders, policy, headers, alternate }
+ *   secretHeaders: names of the secret headers the remote declares; like expectAuth and headers,
+ *     they mean a 401 is expected and OAuth discovery is skipped
+ *   policy: health policy from policy.js (defaults to DEFAULT_POLICY)
+ *   headers: credentials from credentials.js, sent with every request; their values are
+ *     redacted from the result's error text
+ *   alternate: { url, transport } — the same server over its other transport, used for
+ *     confirmation probes when the policy sets confirmOverOtherTransport
+ * @returns {Promise<Object>} CheckResult: { timestamp, status, auth, latencyMs, latencyTier, toolCount, tools,
+ *   serverInfo, capabilities, conformance, authenticated, authHealth, error, timings, confirmation }
+ *   tools: full tools/list result ({ name, description, inputSchema, ... }[]), only on success;
+ *     server.js hands it to catalog.js and does not store it in history
+ *   serverInfo: { name, version, advertised } from initialize — advertised lists the declared capability names
+ *   capabilities: { resources, resourceTemplates, prompts } — each { ok, count, latencyMs, error },
+ *     or null when the server doesn't advertise it
+ *   authenticated: only when headers were given — true if initialize succeeded with them,
+ *     false if the server rejected them (401/403), null if the probe failed before telling
+ *   authHealth: OAuth discovery outcome from oauth.js, only after a Bearer 401 from a remote
+ *     that neither declares secret headers nor was given credentials
+ *   conformance: { protocolVersion, sessionId, sessionTermination, score, violations[] } from
+ *     conformance.js — null when disabled (CONFORMANCE_CHECKS=false) or the server never answered
+ *   timings: { dnsMs, tcpMs, tlsMs, initializeMs, pingMs, toolsListMs, capabilitiesMs, totalMs } — null for phases not reached;
+ *     dnsMs, tcpMs and tlsMs are from the connection initialize opened, and initializeMs excludes them
+ *   confirmation: only when a down probe was re-checked — { verdict, attempts[] }, where verdict is
+ *     confirmed (every attempt down), transient (a retry got through; the result is that retry's)
+ *     or unconfirmed (a retry was rate-limited, so the first attempt stands), and attempts lists
+ *     { timestamp, url, transport, status, latencyMs, error } for each probe in order
+ *
+ * Remotes the egress policy refuses (egress.js) aren't contacted; their
+ * result is unknown, with the reason as the error.
+ *
+ * Probes wait for a slot on their host (hostlimit.js). A probe that got a 429
+ * defers the host and, unless it succeeded anyway, has status rate-limited;
+ * so does a probe for a host that is still deferred, which sends nothing.
+ *
+ * A down probe is re-checked policy.confirmations times, confirmationDelayMs
+ * apart, and only recorded as down if every attempt is; the host slot is
+ * given back during the delay.
  */
 export async function probeServer(serverConfig) {
+  const policy = serverConfig.policy || DEFAULT_POLICY;
+  const first = await probeOnce(serverConfig);
+  if (first.status !== 'down' || !policy.confirmations) return first;
+
+  const retryConfig = policy.confirmOverOtherTransport && serverConfig.alternate
+    ? { ...serverConfig, ...serverConfig.alternate }
+    : serverConfig;
+  const attempts = [{ config: serverConfig, result: first }];
+  let verdict = 'confirmed';
+  let chosen = first;
+  for (let i = 0; i < policy.confirmations; i++) {
+    await new Promise(resolve => setTimeout(resolve, policy.confirmationDelayMs));
+    const result = await probeOnce(retryConfig);
+    attempts.push({ config: retryConfig, result });
+    if (result.status === 'down') continue;
+    if (NO_VERDICT.has(result.status)) {
+      verdict = 'unconfirmed';
+    } else {
+      verdict = 'transient';
+      chosen = result;
+    }
+    break;
+  }
+
+  return {
+    ...chosen,
+    timestamp: first.timestamp,
+    confirmation: {
+      verdict,
+      attempts: attempts.map(({ config, result }) => ({
+        timestamp: result.timestamp,
+        url: config.url,
+        transport: config.transport,
+        status: result.status,
+        latencyMs: result.latencyMs,
+        error: result.error ?? null,
+      })),
+    },
+  };
+}
+
+/** One probe attempt, holding a slot on the host while it runs. */
+async function probeOnce(serverConfig) {
+  const timings = {
+    dnsMs: null,
+    tcpMs: null,
+    tlsMs: null,
+    initializeMs: null,
+    pingMs: null,
+    toolsListMs: null,
+    capabilitiesMs: null,
+    totalMs: null,
+  };
+  // The attempt's own connections, destroyed with it so an abandoned stream doesn't linger.
+  // All of its requests go through egressFetch, and a refused remote isn't given a host slot
+  const pinnedFetch = createPinnedFetch(connectionTimer(timings));
+  const egressFetch = createEgressFetch(pinnedFetch, { credentialHeaders: Object.keys(serverConfig.headers || {}) });
+  try {
+    let egress = null;
+    try {
+      egress = await egressFetch.check(serverConfig.url);
+    } catch (_) {
+      // The lookup failed; the probe fails on it the same way and reports it
+    }
+    if (egress && !egress.ok) return blockedResult(serverConfig, egress.reason);
+
+    const host = hostOf(serverConfig.url);
+    const releaseHost = await acquireHost(host);
+    if (!releaseHost) return deferredResult(serverConfig, host);
+    try {
+      return await runProbe(serverConfig, host, egressFetch, timings);
+    } finally {
+      releaseHost();
+    }
+  } finally {
+    pinnedFetch.destroy().catch(() => {});
+  }
+}
+
+function blockedResult(serverConfig, reason) {
+  return {
+    timestamp: Date.now(),
+    status: 'unknown',
+    auth: serverConfig.expectAuth || serverConfig.headers ? 'protected' : 'unknown',
+    latencyMs: null,
+    toolCount: null,
+    ...(serverConfig.headers ? { authenticated: null } : {}),
+    error: `blocked by egress policy: ${reason}`,
+    conformance: null,
+    timings: null,
+  };
+}
+
+function deferredResult(serverConfig, host) {
+  return {
+    timestamp: Date.now(),
+    status: 'rate-limited',
+    auth: serverConfig.expectAuth || serverConfig.headers ? 'protected' : 'unknown',
+    latencyMs: null,
+    toolCount: null,
+    ...(serverConfig.headers ? { authenticated: null } : {}),
+    error: `rate limited: ${host} deferred until ${new Date(hostDeferredUntil(host) ?? Date.now()).toISOString()}`,
+    conformance: null,
+    timings: null,
+  };
+}
+
+/** Defer the host after a 429 and mark a probe that didn't get through as rate-limited. */
+function applyRateLimit(result, rateLimit, host) {
+  if (!rateLimit.hit) return result;
+  const until = deferHost(host, rateLimit.retryAfterMs);
+  if (result.status !== 'down' && !result.error) return result;
+  return {
+    ...result,
+    status: 'rate-limited',
+    error: `rate limited (HTTP 429), ${host} deferred until ${new Date(until).toISOString()}`,
+  };
+}
+
+async function runProbe(serverConfig, host, egressFetch, timings) {
   const timestamp = Date.now();
+  const conformance = CONFORMANCE_CHECKS ? createConformanceRecorder({ transport: serverConfig.transport, fetch: egressFetch }) : null;
+  // Set by the probe's fetch on any 429
+  const rateLimit = { hit: false, retryAfterMs: null };
 
   // Race the probe against a timeout
   try {
     const result = await Promise.race([
-      doProbe(serverConfig),
+      doProbe(serverConfig, timings, conformance, rateLimit, egressFetch, timestamp + PROBE_TIMEOUT_MS),
       timeout(PROBE_TIMEOUT_MS),
     ]);
-    return { timestamp, ...result };
+    // Copy: after a timeout the abandoned doProbe() may still write to timings
+    return applyRateLimit({
+      timestamp,
+      ...result,
+      ...authOutcome(serverConfig, result, timings),
+      error: redactHeaders(result.error, serverConfig.headers),
+      conformance: conformance ? conformance.summary() : null,
+      timings: { ...timings, totalMs: Date.now() - timestamp },
+    }, rateLimit, host);
   } catch (err) {
-    return {
+    return applyRateLimit({
       timestamp,
       status: 'down',
-      auth: serverConfig.expectAuth ? 'protected' : 'unknown',
+      auth: serverConfig.expectAuth || serverConfig.headers ? 'protected' : 'unknown',
       latencyMs: null,
       toolCount: null,
-      error: err.message || String(err),
-    };
+      ...authOutcome(serverConfig, {}, timings),
+      error: redactHeaders(err.message || String(err), serverConfig.headers),
+      conformance: conformance ? conformance.summary() : null,
+      timings: { ...timings, totalMs: Date.now() - timestamp },
+    }, rateLimit, host);
   }
 }
 
+function authOutcome(serverConfig, result, timings) {
+  if (!serverConfig.headers) return {};
+  return { authenticated: result.authenticated ?? (timings.initializeMs !== null ? true : null) };
+}
+
+/** Scrub credential header values (and bare bearer tokens) out of error text. */
+function redactHeaders(text, headers) {
+  if (!text || !headers) return text;
+  let out = text;
+  for (const value of Object.values(headers)) {
+    for (const secret of [value, value.replace(/^Bearer\s+/i, '')]) {
+      if (secret.length >= 4) out = out.split(secret).join('[redacted]');
+    }
+  }
+  return out;
+}
+
 function timeout(ms) {
   return new Promise((_, reject) =>
     setTimeout(() => reject(new Error(`Probe timed out after ${ms}ms`)), ms)
   );
 }
 
-async function doProbe(serverConfig) {
+/**
+ * Time DNS, TCP connect and TLS handshake on the first connection the probe
+ * opens, which carries initialize. Phases that don't happen (DNS for an IP
+ * address, TLS over http) or don't finish are left null.
+ * @returns {(socket: import('net').Socket) => void} for createPinnedFetch()
+ */
+function connectionTimer(timings) {
+  let timed = false;
+  return socket => {
+    if (timed) return;
+    timed = true;
+    let phaseStart = Date.now();
+    socket.once('lookup', err => {
+      if (err) return;
+      timings.dnsMs = Date.now() - phaseStart;
+      phaseStart = Date.now();
+    });
+    socket.once('connect', () => {
+      timings.tcpMs = Date.now() - phaseStart;
+      phaseStart = Date.now();
+    });
+    socket.once('secureConnect', () => {
+      timings.tlsMs = Date.now() - phaseStart;
+    });
+  };
+}
+
+async function doProbe(serverConfig, timings, conformance, rateLimit, egressFetch, deadline) {
   const url = new URL(serverConfig.url);
+  const policy = serverConfig.policy || DEFAULT_POLICY;
+  // With credentials, a server that lets us in is still an auth-protected one
+  const authMode = serverConfig.headers ? 'protected' : 'open';
   let transport;
   let client;
 
+  // Keep the challenge from a 401 so OAuth discovery can follow it, and note any 429
+  const baseFetch = conformance ? conformance.fetch : egressFetch;
+  let challenge;
+  const probeFetch = async (input, init) => {
+    const res = await baseFetch(input, init);
+    if (res.status === 401) challenge = res.headers.get('www-authenticate');
+    if (res.status === 429) {
+      rateLimit.hit = true;
+      rateLimit.retryAfterMs = parseRetryAfter(res.headers.get('retry-after')) ?? rateLimit.retryAfterMs;
+    }
+    return res;
+  };
+
   try {
     // Create the appropriate transport
+    const opts = {
+      fetch: probeFetch,
+      ...(serverConfig.headers && { requestInit: { headers: serverConfig.headers } }),
+    };
     if (serverConfig.transport === 'sse') {
-      transport = new SSEClientTransport(url);
+      transport = new SSEClientTransport(url, opts);
     } else {
-      transport = new StreamableHTTPClientTransport(url);
+      transport = new StreamableHTTPClientTransport(url, opts);
     }
 
     // Create client and attempt connect (which does the initialize handshake)
     client = new Client({ name: 'mcpdd', version: '0.1.0' });
+    const initStart = Date.now();
     await client.connect(transport);
+    // initialize opened the connection; its DNS/TCP/TLS phases are timed on their own
+    const connectMs = (timings.dnsMs ?? 0) + (timings.tcpMs ?? 0) + (timings.tlsMs ?? 0);
+    timings.initializeMs = Math.max(0, Date.now() - initStart - connectMs);
+
+    const version = client.getServerVersion();
+    const declared = client.getServerCapabilities() || {};
+    const serverInfo = {
+      name: version?.name ?? null,
+      version: version?.version ?? null,
+      advertised: Object.keys(declared),
+    };
 
     // If we got here, initialize succeeded — server is alive and open
     // Now measure ping latency
@@ -61,44 +318,92 @@ async function doProbe(serverConfig) {
     try {
       await client.ping();
     } catch (pingErr) {
-      // Ping failed but server responded to initialize — degraded
+      timings.pingMs = Date.now() - pingStart;
+      // Ping failed but server responded to initialize
       return {
-        status: 'degraded',
-        auth: 'open',
+        status: policy.pingFailure,
+        auth: authMode,
         latencyMs: Date.now() - pingStart,
         toolCount: null,
-        error: `ping failed: ${pingErr.message}`,
+        serverInfo,
+        error: `ping failed: ${errorMessage(pingErr, conformance)}`,
       };
     }
     const latencyMs = Date.now() - pingStart;
+    timings.pingMs = latencyMs;
 
     // Now try tools/list
-    let toolCount = null;
+    let tools = null;
+    let toolsErr = null;
+    const toolsStart = Date.now();
     try {
-      const result = await client.listTools();
-      toolCount = result.tools ? result.tools.length : 0;
-    } catch (toolsErr) {
-      // tools/list failed but init + ping worked — unhealthy
+      tools = await listAll(params => client.listTools(params), 'tools');
+    } catch (err) {
+      toolsErr = err;
+    }
+    timings.toolsListMs = Date.now() - toolsStart;
+
+    // Advertised resources/prompts endpoints break independently of tools
+    const capsStart = Date.now();
+    const capabilities = {
+      resources: declared.resources ? await probeList(() => listAll(params => client.listResources(params), 'resources'), conformance) : null,
+      resourceTemplates: declared.resources ? await probeList(() => listAll(params => client.listResourceTemplates(params), 'resourceTemplates'), conformance) : null,
+      prompts: declared.prompts ? await probeList(() => listAll(params => client.listPrompts(params), 'prompts'), conformance) : null,
+    };
+    if (declared.resources || declared.prompts) timings.capabilitiesMs = Date.now() - capsStart;
+
+    // Last, since it ends the session
+    if (conformance) await conformance.checkTermination(url, serverConfig.headers);
+
+    const tier = latencyTier(policy, latencyMs);
+
+    if (toolsErr) {
+      // tools/list failed but init + ping worked
       return {
-        status: 'unhealthy',
-        auth: 'open',
+        status: policy.toolsListFailure,
+        auth: authMode,
         latencyMs,
+        latencyTier: tier.name,
         toolCount: null,
-        error: `tools/list failed: ${toolsErr.message}`,
+        serverInfo,
+        capabilities,
+        error: `tools/list failed: ${errorMessage(toolsErr, conformance)}`,
       };
     }
 
-    // Full success
+    // Full success: status from the latency tier, capped by the tool and capability expectations
+    let status = tier.status;
+    let error = null;
+    const toolCount = tools.length;
+    if (toolCount < policy.minTools) status = worseStatus(status, policy.tooFewTools);
+
+    const failed = Object.entries(capabilities).find(([, outcome]) => outcome && !outcome.ok);
+    if (failed) {
+      status = worseStatus(status, policy.capabilityFailure);
+      error = `${CAPABILITY_METHODS[failed[0]]} failed: ${failed[1].error}`;
+    }
+
     return {
-      status: latencyMs > 2000 ? 'degraded' : (latencyMs > 500 ? 'degraded' : 'healthy'),
-      auth: 'open',
+      status,
+      auth: authMode,
       latencyMs,
+      latencyTier: tier.name,
       toolCount,
-      error: null,
+      tools,
+      serverInfo,
+      capabilities,
+      error,
     };
   } catch (err) {
     // Classify the error from the connect/initialize attempt
-    return classifyConnectError(err, serverConfig);
+    const result = classifyConnectError(err, serverConfig, policy, conformance);
+    const declaresAuth = serverConfig.expectAuth || serverConfig.secretHeaders?.length > 0 || serverConfig.headers;
+    const budgetMs = deadline - Date.now() - DISCOVERY_MARGIN_MS;
+    if (OAUTH_DISCOVERY_CHECKS && isBearerChallenge(challenge) && result.auth === 'protected' && !declaresAuth && budgetMs > 0) {
+      const authHealth = await checkOAuthDiscovery(url, challenge, egressFetch, AbortSignal.timeout(budgetMs));
+      return withAuthHealth(result, authHealth, policy);
+    }
+    return result;
   } finally {
     // Clean up with a timeout to prevent zombie connections
     try {
@@ -113,11 +418,68 @@ async function doProbe(serverConfig) {
   }
 }
 
+/** Fold an OAuth discovery outcome into a 401 CheckResult. */
+function withAuthHealth(result, authHealth, policy) {
+  if (authHealth.status === 'healthy') return { ...result, authHealth };
+  const mapped = authHealth.status === 'down' ? policy.authDiscoveryFailure : policy.authDiscoveryWarning;
+  const worst = authHealth.issues.find(i => i.severity === 'error') || authHealth.issues[0];
+  return {
+    ...result,
+    status: worseStatus(result.status, mapped),
+    authHealth,
+    error: `OAuth discovery: ${worst.message}`,
+  };
+}
+
+const CAPABILITY_METHODS = {
+  resources: 'resources/list',
+  resourceTemplates: 'resources/templates/list',
+  prompts: 'prompts/list',
+};
+
+/**
+ * Follow nextCursor through a paginated list method.
+ * @param {(params: Object|undefined) => Promise<Object>} list - e.g. params => client.listTools(params)
+ * @param {string} field - Result field holding the items
+ */
+async function listAll(list, field) {
+  const items = [];
+  let cursor;
+  for (let page = 0; page < MAX_LIST_PAGES; page++) {
+    const result = await list(cursor ? { cursor } : undefined);
+    items.push(...(result[field] || []));
+    cursor = result.nextCursor;
+    if (!cursor) break;
+  }
+  return items;
+}
+
+/**
+ * Error text for a failed call. SDK schema validation failures serialize the
+ * whole zod issue tree; prefer the conformance violation that explains them.
+ */
+function errorMessage(err, conformance) {
+  if (!Array.isArray(err?.issues)) return err?.message || String(err);
+  const errors = (conformance?.summary()?.violations || []).filter(v => v.severity === 'error');
+  return errors.length > 0 ? `protocol violation: ${errors[errors.length - 1].message}` : 'response failed schema validation';
+}
+
+/** Run one capability list call and summarize its outcome. */
+async function probeList(run, conformance) {
+  const start = Date.now();
+  try {
+    const items = await run();
+    return { ok: true, count: items.length, latencyMs: Date.now() - start, error: null };
+  } catch (err) {
+    return { ok: false, count: null, latencyMs: Date.now() - start, error: errorMessage(err, conformance) };
+  }
+}
+
 /**
  * Classify an error from the connect attempt into a CheckResult.
  */
-function classifyConnectError(err, serverConfig) {
-  const msg = err.message || String(err);
+function classifyConnectError(err, serverConfig, policy, conformance) {
+  const msg = errorMessage(err, conformance);
   const code = err.code;  // StreamableHTTPError has .code, SseError has .code
 
   // HTTP 401/403 → server is alive but protected
@@ -125,8 +487,19 @@ function classifyConnectError(err, serverConfig) {
       err.constructor?.name === 'UnauthorizedError' ||
       msg.includes('401') || msg.includes('Unauthorized') ||
       msg.includes('403') || msg.includes('Forbidden')) {
+    if (serverConfig.headers) {
+      // We sent credentials and they were refused: alive, but we couldn't look inside
+      return {
+        status: policy.authProtected,
+        auth: 'protected',
+        latencyMs: null,
+        toolCount: null,
+        authenticated: false,
+        error: `credentials rejected${code === 401 || code === 403 ? ` (HTTP ${code})` : ''}`,
+      };
+    }
     return {
-      status: 'healthy',
+      status: policy.authProtected,
       auth: 'protected',
       latencyMs: null,
       toolCount: null,
@@ -0,0 +1,199 @@
+/**
+ * query.js — Filtering, sorting and cursor pagination for /api/status.
+ *
+ * The server computes a few cheap facts per provider (status, uptime,
+ * latency, auth mode, favorite count); queries run over those, and only
+ * the page that is returned gets built in full. Query parameters, which
+ * POST /api/status takes as a JSON body instead:
+ *
+ *   status     comma-separated aggregate statuses to include
+ *   q          case-insensitive text search over registryName and displayName
+ *   namespace  registryName prefix, e.g. "io.github." or "com.stripe/"
+ *   sseOnly    true | false
+ *   auth       open | protected (protected if any remote requires auth)
+ *   source     registry | manual (added through the admin API)
+ *   names      comma-separated registryNames (at most MAX_NAMES in a URL,
+ *              MAX_BODY_NAMES in a body)
+ *   sort       status (worst first, default) | uptime (lowest first) |
+ *              latency (slowest first) | name | favorites (most first)
+ *   order      asc | desc, to override the sort's natural direction
+ *   limit      page size, 1 to MAX_LIMIT; without it every match is returned
+ *   cursor     nextCursor from the previous page
+ *
+ * Cursors are keyset cursors: they hold the last row's sort key, and the
+ * next page starts after it in the current order, so pages don't skip or
+ * repeat rows when statuses change between requests. Rows without a value
+ * for the sort key (no checks yet) always come last.
+ */
+
+import { STATUS_PRIORITY } from './policy.js';
+
+export const SORTS = ['status', 'uptime', 'latency', 'name', 'favorites'];
+const MAX_LIMIT = 500;
+const MAX_NAMES = 100;
+const MAX_BODY_NAMES = 5000;
+const AUTH_MODES = ['open', 'protected'];
+const SOURCES = ['registry', 'manual'];
+
+// Sort key per row and its natural direction (1 ascending, -1 descending)
+const SORT_KEYS = {
+  status: { key: f => STATUS_PRIORITY[f.status] ?? STATUS_PRIORITY.unknown, direction: 1 },
+  uptime: { key: f => f.uptimePercent, direction: 1 },
+  latency: { key: f => f.worstLatencyMs, direction: -1 },
+  name: { key: f => f.displayName.toLowerCase(), direction: 1 },
+  favorites: { key: f => f.favorites, direction: -1 },
+};
+
+function list(value) {
+  return value.split(',').map(v => v.trim()).filter(Boolean);
+}
+
+function encodeCursor(values) {
+  return Buffer.from(JSON.stringify(values)).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const values = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf-8'));
+    if (Array.isArray(values) && values.length === 3) return values;
+  } catch { /* fall through */ }
+  return null;
+}
+
+/**
+ * Parse and validate /api/status query parameters.
+ * @param {Object} query - req.query
+ * @param {Object} [opts]
+ * @param {boolean} [opts.paging] - Whether sort and pagination parameters apply
+ * @param {boolean} [opts.body] - Parameters came from a POST body, which allows more names
+ * @returns {{query: Object|null, error: string|null}}
+ */
+export function parseStatusQuery(query, { paging = true, body = false } = {}) {
+  const param = name => (typeof query?.[name] === 'string' ? query[name] : undefined);
+  const maxNames = body ? MAX_BODY_NAMES : MAX_NAMES;
+  const parsed = { filters: {}, sort: 'status', direction: SORT_KEYS.status.direction, limit: null, after: null };
+  const f = parsed.filters;
+
+  if (param('status') !== undefined) {
+    f.statuses = new Set(list(param('status')));
+    const invalid = [...f.statuses].find(s => !(s in STATUS_PRIORITY));
+    if (invalid) return { query: null, error: `Invalid status "${invalid}", expected any of: ${Object.keys(STATUS_PRIORITY).join(', ')}` };
+  }
+  if (param('q')) f.text = param('q').trim().toLowerCase();
+  if (param('namespace')) f.namespace = param('namespace');
+  if (param('sseOnly') !== undefined) {
+    if (!['true', 'false'].includes(param('sseOnly'))) return { query: null, error: 'Invalid sseOnly, expected true or false' };
+    f.sseOnly = param('sseOnly') === 'true';
+  }
+  if (param('auth') !== undefined) {
+    if (!AUTH_MODES.includes(param('auth'))) return { query: null, error: `Invalid auth, expected one of: ${AUTH_MODES.join(', ')}` };
+    f.auth = param('auth');
+  }
+  if (param('source') !== undefined) {
+    if (!SOURCES.includes(param('source'))) return { query: null, error: `Invalid source, expected one of: ${SOURCES.join(', ')}` };
+    f.source = param('source');
+  }
+  if (param('names') !== undefined) {
+    f.names = new Set(list(param('names')));
+    if (f.names.size > maxNames) return { query: null, error: `Too many names, at most ${maxNames}` };
+  }
+  if (!paging) return { query: parsed, error: null };
+
+  if (param('sort') !== undefined) {
+    if (!SORTS.includes(param('sort'))) return { query: null, error: `Invalid sort, expected one of: ${SORTS.join(', ')}` };
+    parsed.sort = param('sort');
+    parsed.direction = SORT_KEYS[parsed.sort].direction;
+  }
+  if (param('order') !== undefined) {
+    if (!['asc', 'desc'].includes(param('order'))) return { query: null, error: 'Invalid order, expected asc or desc' };
+    parsed.direction = param('order') === 'asc' ? 1 : -1;
+  }
+  if (param('limit') !== undefined) {
+    const limit = Number(param('limit'));
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) return { query: null, error: `Invalid limit, expected 1 to ${MAX_LIMIT}` };
+    parsed.limit = limit;
+  }
+  if (param('cursor') !== undefined) {
+    parsed.after = decodeCursor(param('cursor'));
+    if (!parsed.after) return { query: null, error: 'Invalid cursor' };
+  }
+  return { query: parsed, error: null };
+}
+
+/**
+ * Whether a provider's facts pass the filters.
+ * @param {Object} facts - { registryName, displayName, sseOnly, status, auth, source, ... }
+ * @param {Object} filters - From parseStatusQuery()
+ */
+export function matchesFilters(facts, filters) {
+  if (filters.statuses && !filters.statuses.has(facts.status)) return false;
+  if (filters.names && !filters.names.has(facts.registryName)) return false;
+  if (filters.namespace && !facts.registryName.startsWith(filters.namespace)) return false;
+  if (filters.sseOnly !== undefined && facts.sseOnly !== filters.sseOnly) return false;
+  if (filters.auth && facts.auth !== filters.auth) return false;
+  if (filters.source && facts.source !== filters.source) return false;
+  if (filters.text &&
+      !facts.registryName.toLowerCase().includes(filters.text) &&
+      !facts.displayName.toLowerCase().includes(filters.text)) return false;
+  return true;
+}
+
+/** Sort values for a row: [key, displayName, registryName]. */
+function sortValues(facts, sort) {
+  return [SORT_KEYS[sort].key(facts) ?? null, facts.displayName.toLowerCase(), facts.registryName];
+}
+
+function compareValues(a, b, direction) {
+  // Missing keys last, whatever the direction
+  if (a[0] === null || b[0] === null) {
+    if (a[0] !== b[0]) return a[0] === null ? 1 : -1;
+  } else if (a[0] !== b[0]) {
+    return (a[0] < b[0] ? -1 : 1) * direction;
+  }
+  if (a[1] !== b[1]) return a[1] < b[1] ? -1 : 1;
+  if (a[2] !== b[2]) return a[2] < b[2] ? -1 : 1;
+  return 0;
+}
+
+/**
+ * Filter, sort and page provider facts.
+ * @param {Object[]} allFacts
+ * @param {Object} query - From parseStatusQuery()
+ * @returns {{rows: Object[], total: number, nextCursor: string|null}} total counts every match
+ */
+export function runStatusQuery(allFacts, query) {
+  const matching = allFacts
+    .filter(f => matchesFilters(f, query.filters))
+    .map(f => ({ facts: f, values: sortValues(f, query.sort) }));
+  matching.sort((a, b) => compareValues(a.values, b.values, query.direction));
+
+  let start = 0;
+  if (query.after) {
+    start = matching.findIndex(m => compareValues(m.values, query.after, query.direction) > 0);
+    if (start === -1) start = matching.length;
+  }
+  const end = query.limit ? start + query.limit : matching.length;
+  const page = matching.slice(start, end);
+  return {
+    rows: page.map(m => m.facts),
+    total: matching.length,
+    nextCursor: end < matching.length && page.length > 0 ? encodeCursor(page[page.length - 1].values) : null,
+  };
+}
+
+/**
+ * Count matching providers per status.
+ * @param {Object[]} allFacts
+ * @param {Object} filters - From parseStatusQuery()
+ * @returns {{total: number, counts: Object}}
+ */
+export function countByStatus(allFacts, filters) {
+  const counts = Object.fromEntries(Object.keys(STATUS_PRIORITY).map(s => [s, 0]));
+  let total = 0;
+  for (const facts of allFacts) {
+    if (!matchesFilters(facts, filters)) continue;
+    counts[facts.status] = (counts[facts.status] || 0) + 1;
+    total++;
+  }
+  return { total, counts };
+}
@@ -0,0 +1,103 @@
+/**
+ * quorum.js — Per-vantage results and quorum status.
+ *
+ * With probe agents configured, each remote is checked from several
+ * vantage points: the central server itself and every agent. The latest
+ * result per vantage is kept here (in memory only; results older than a
+ * couple of probe intervals don't count anyway), and the status recorded
+ * in history is decided by quorum:
+ *
+ *   down     — at least `quorum` fresh vantages saw the remote down
+ *              (or every fresh vantage, when fewer than `quorum` are fresh)
+ *   anything else — the status most non-down vantages agree on, ties
+ *              going to the worse status
+ *
+ * so one region's network trouble doesn't read as an outage. Results with
+ * status unknown (short-circuited, missing credentials) or rate-limited
+ * carry no verdict.
+ */
+
+import { STATUS_PRIORITY, NO_VERDICT } from './policy.js';
+
+// "registryName|url" → Map(vantage → check)
+const latest = new Map();
+
+/**
+ * Store the latest result for a remote from one vantage point.
+ * @param {string} key - History key ("registryName|url")
+ * @param {string} vantage - "local" or an agent id
+ * @param {Object} check - CheckResult (without the tool list)
+ */
+export function reportVantage(key, vantage, check) {
+  if (!latest.has(key)) latest.set(key, new Map());
+  latest.get(key).set(vantage, check);
+}
+
+/** Forget vantage results for a remote that is no longer monitored. */
+export function retireVantages(key) {
+  latest.delete(key);
+}
+
+function freshResults(key, maxAgeMs, now) {
+  const byVantage = latest.get(key);
+  if (!byVantage) return [];
+  return [...byVantage]
+    .filter(([, check]) => now - check.timestamp <= maxAgeMs)
+    .map(([vantage, check]) => ({ vantage, check }));
+}
+
+/**
+ * Decide a remote's status from its fresh vantage results.
+ *
+ * @param {string} key - History key
+ * @param {Object} opts
+ * @param {number} opts.quorum - Vantages that must agree on down
+ * @param {number} opts.maxAgeMs - Older results are ignored
+ * @param {string} [opts.prefer] - Vantage whose check to use when it matches the verdict
+ * @returns {Object|null} { status, check, quorum: { down, total, required } }, where check
+ *   is a vantage result agreeing with the verdict; null when no vantage has a verdict
+ */
+export function decide(key, { quorum, maxAgeMs, prefer }) {
+  const results = freshResults(key, maxAgeMs, Date.now()).filter(r => !NO_VERDICT.has(r.check.status));
+  if (results.length === 0) return null;
+
+  const required = Math.min(quorum, results.length);
+  const down = results.filter(r => r.check.status === 'down');
+  let status;
+  if (down.length >= required) {
+    status = 'down';
+  } else {
+    const votes = new Map();
+    for (const r of results) {
+      if (r.check.status !== 'down') votes.set(r.check.status, (votes.get(r.check.status) || 0) + 1);
+    }
+    status = [...votes].sort((a, b) => b[1] - a[1] || STATUS_PRIORITY[a[0]] - STATUS_PRIORITY[b[0]])[0][0];
+  }
+
+  const agreeing = results.filter(r => r.check.status === status);
+  const chosen = agreeing.find(r => r.vantage === prefer) || agreeing[0];
+  return {
+    status,
+    check: chosen.check,
+    quorum: { down: down.length, total: results.length, required },
+  };
+}
+
+/**
+ * Latest result per vantage for a remote, for the detail view.
+ * @param {string} key - History key
+ * @param {number} maxAgeMs - Results older than this are flagged stale
+ */
+export function listVantages(key, maxAgeMs) {
+  const byVantage = latest.get(key);
+  if (!byVantage) return [];
+  const now = Date.now();
+  return [...byVantage].map(([vantage, check]) => ({
+    vantage,
+    status: check.status,
+    latencyMs: check.latencyMs ?? null,
+    error: check.error ?? null,
+    checkedAt: new Date(check.timestamp).toISOString(),
+    fresh: now - check.timestamp <= maxAgeMs,
+  })).sort((a, b) => a.vantage.localeCompare(b.vantage));
+}
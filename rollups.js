@@ -0,0 +1,309 @@
+/**
+ * rollups.js — Long-term probe history as hourly and daily rollups.
+ *
+ * Raw checks only live for 24h in server.js. Every recorded check is also
+ * folded into an hourly bucket (kept 7 days) and a daily bucket (kept 90 days)
+ * so uptime can be reported over longer ranges without keeping every check.
+ *
+ * Latency is tracked as a fixed histogram rather than raw samples, so buckets
+ * stay small and percentiles can still be estimated after compaction.
+ *
+ * Checks recorded during a maintenance window are only counted, not folded
+ * into status counts or latency, so they don't affect uptime.
+ */
+
+import { readFileSync, writeFileSync, mkdirSync, existsSync, renameSync } from 'fs';
+import { mkdir, open, rename } from 'fs/promises';
+import { dirname } from 'path';
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+// One extra bucket so the oldest slot of the longest range is still complete
+const HOURLY_RETENTION_MS = 7 * DAY_MS + HOUR_MS;
+const DAILY_RETENTION_MS = 91 * DAY_MS;
+
+/** Upper bounds (ms) of the latency histogram buckets; a final +Inf bucket is implied */
+export const LATENCY_BUCKETS_MS = [50, 100, 250, 500, 1000, 2000, 5000, 10000];
+
+/** Supported ?range= values and the bucket resolution used for each */
+export const RANGES = {
+  '7d': { days: 7, resolution: 'hour' },
+  '30d': { days: 30, resolution: 'day' },
+  '90d': { days: 90, resolution: 'day' },
+};
+
+// Rollups keyed by the same "registryName|url" key as the raw history
+const rollups = new Map();
+// Each key's `"key":entry` JSON as last persisted; dropped when the entry changes,
+// so a persist only re-serializes the remotes checked since the last one
+const serialized = new Map();
+let persisting = null;
+// Characters buffered between writes while persisting
+const WRITE_CHUNK_CHARS = 1 << 20;
+
+function emptyBucket(start) {
+  return {
+    start,
+    counts: {},
+    latency: { count: 0, sum: 0, min: null, max: null, buckets: new Array(LATENCY_BUCKETS_MS.length + 1).fill(0) },
+    tools: { min: null, max: null, last: null },
+  };
+}
+
+function bucketFor(list, start) {
+  for (let i = list.length - 1; i >= 0; i--) {
+    if (list[i].start === start) return list[i];
+    if (list[i].start < start) {
+      const bucket = emptyBucket(start);
+      list.splice(i + 1, 0, bucket);
+      return bucket;
+    }
+  }
+  const bucket = emptyBucket(start);
+  list.unshift(bucket);
+  return bucket;
+}
+
+function addToBucket(bucket, check) {
+  if (check.maintenance) {
+    bucket.maintenance = (bucket.maintenance || 0) + 1;
+    return;
+  }
+  bucket.counts[check.status] = (bucket.counts[check.status] || 0) + 1;
+
+  if (check.latencyMs !== null && check.latencyMs !== undefined) {
+    const lat = bucket.latency;
+    lat.count++;
+    lat.sum += check.latencyMs;
+    lat.min = lat.min === null ? check.latencyMs : Math.min(lat.min, check.latencyMs);
+    lat.max = lat.max === null ? check.latencyMs : Math.max(lat.max, check.latencyMs);
+    let idx = LATENCY_BUCKETS_MS.findIndex(bound => check.latencyMs <= bound);
+    if (idx === -1) idx = LATENCY_BUCKETS_MS.length;
+    lat.buckets[idx]++;
+  }
+
+  if (check.toolCount !== null && check.toolCount !== undefined) {
+    const tools = bucket.tools;
+    tools.min = tools.min === null ? check.toolCount : Math.min(tools.min, check.toolCount);
+    tools.max = tools.max === null ? check.toolCount : Math.max(tools.max, check.toolCount);
+    tools.last = check.toolCount;
+  }
+}
+
+function prune(list, cutoff) {
+  while (list.length > 0 && list[0].start < cutoff) {
+    list.shift();
+  }
+}
+
+/**
+ * Fold a CheckResult into the hourly and daily rollups for a remote.
+ * @param {string} key - History key ("registryName|url")
+ * @param {Object} check - CheckResult from probeServer()
+ */
+export function recordRollup(key, check) {
+  let entry = rollups.get(key);
+  if (!entry) {
+    entry = { hourly: [], daily: [] };
+    rollups.set(key, entry);
+  }
+
+  const ts = check.timestamp;
+  addToBucket(bucketFor(entry.hourly, ts - (ts % HOUR_MS)), check);
+  addToBucket(bucketFor(entry.daily, ts - (ts % DAY_MS)), check);
+
+  const now = Date.now();
+  prune(entry.hourly, now - HOURLY_RETENTION_MS);
+  prune(entry.daily, now - DAILY_RETENTION_MS);
+  serialized.delete(key);
+}
+
+/** Drop all rollups for a remote that is no longer monitored. */
+export function retireRollups(key) {
+  rollups.delete(key);
+  serialized.delete(key);
+}
+
+export function hasRollups() {
+  return rollups.size > 0;
+}
+
+/**
+ * Estimate a latency percentile from a histogram by interpolating within
+ * the bucket that contains it, clamped to the observed min/max.
+ */
+function percentile(lat, q) {
+  if (lat.count === 0) return null;
+  const target = q * lat.count;
+  let cumulative = 0;
+  for (let i = 0; i < lat.buckets.length; i++) {
+    const n = lat.buckets[i];
+    if (n === 0) continue;
+    if (cumulative + n >= target) {
+      const lower = i === 0 ? 0 : LATENCY_BUCKETS_MS[i - 1];
+      const upper = i < LATENCY_BUCKETS_MS.length ? LATENCY_BUCKETS_MS[i] : lat.max;
+      const estimate = lower + (upper - lower) * ((target - cumulative) / n);
+      return Math.round(Math.min(lat.max, Math.max(lat.min, estimate)));
+    }
+    cumulative += n;
+  }
+  return lat.max;
+}
+
+function worstOf(counts, statusPriority) {
+  let worst = 'unknown';
+  for (const [status, n] of Object.entries(counts)) {
+    if (n > 0 && (statusPriority[status] ?? statusPriority.unknown) < (statusPriority[worst] ?? statusPriority.unknown)) {
+      worst = status;
+    }
+  }
+  return worst;
+}
+
+function uptimeOf(counts) {
+  const total = Object.values(counts).reduce((a, b) => a + b, 0);
+  if (total === 0) return null;
+  const nonDown = total - (counts.down || 0);
+  return Math.round((nonDown / total) * 10000) / 100;
+}
+
+/**
+ * Build the rollup series for one remote over a range.
+ * Every slot in the range is present; slots with no checks report 'unknown'.
+ *
+ * @param {string} key - History key ("registryName|url")
+ * @param {string} range - One of the RANGES keys
+ * @param {Object} statusPriority - Status → priority (lower is worse)
+ * @returns {{ uptimePercent: number|null, buckets: Object[] }}
+ */
+export function queryRollups(key, range, statusPriority) {
+  const { days, resolution } = RANGES[range];
+  const stepMs = resolution === 'hour' ? HOUR_MS : DAY_MS;
+  const slots = resolution === 'hour' ? days * 24 : days;
+  const entry = rollups.get(key);
+  const source = entry ? (resolution === 'hour' ? entry.hourly : entry.daily) : [];
+  const byStart = new Map(source.map(b => [b.start, b]));
+
+  const now = Date.now();
+  const lastStart = now - (now % stepMs);
+  const totals = {};
+  const buckets = [];
+
+  for (let i = slots - 1; i >= 0; i--) {
+    const start = lastStart - i * stepMs;
+    const bucket = byStart.get(start);
+    if (!bucket) {
+      buckets.push({ start: new Date(start).toISOString(), status: 'unknown', checks: 0, uptimePercent: null });
+      continue;
+    }
+
+    for (const [status, n] of Object.entries(bucket.counts)) {
+      totals[status] = (totals[status] || 0) + n;
+    }
+    const lat = bucket.latency;
+    const checks = Object.values(bucket.counts).reduce((a, b) => a + b, 0);
+    buckets.push({
+      start: new Date(start).toISOString(),
+      // A slot with only maintenance checks shows as maintenance rather than unknown
+      status: checks === 0 && bucket.maintenance ? 'maintenance' : worstOf(bucket.counts, statusPriority),
+      checks,
+      ...(bucket.maintenance ? { maintenance: bucket.maintenance } : {}),
+      counts: bucket.counts,
+      uptimePercent: uptimeOf(bucket.counts),
+      latency: lat.count > 0 ? {
+        avg: Math.round(lat.sum / lat.count),
+        p50: percentile(lat, 0.5),
+        p95: percentile(lat, 0.95),
+        p99: percentile(lat, 0.99),
+        max: lat.max,
+      } : null,
+      tools: bucket.tools.last !== null ? { ...bucket.tools } : null,
+    });
+  }
+
+  return { uptimePercent: uptimeOf(totals), buckets };
+}
+
+// --- Persistence ---
+/**
+ * @param {string} file - Path to rollups.json
+ * @param {(key: string) => boolean} keep - Whether a persisted key is still monitored
+ */
+export function loadRollups(file, keep) {
+  try {
+    if (existsSync(file)) {
+      const data = JSON.parse(readFileSync(file, 'utf-8'));
+      const now = Date.now();
+      for (const [key, entry] of Object.entries(data)) {
+        if (!keep(key)) continue;
+        prune(entry.hourly, now - HOURLY_RETENTION_MS);
+        prune(entry.daily, now - DAILY_RETENTION_MS);
+        rollups.set(key, entry);
+      }
+      console.log(`Loaded rollups from ${file}`);
+    }
+  } catch (err) {
+    console.error(`Failed to load rollups: ${err.message}`);
+  }
+}
+
+function entryJson(key) {
+  let json = serialized.get(key);
+  if (json === undefined) {
+    json = `${JSON.stringify(key)}:${JSON.stringify(rollups.get(key))}`;
+    serialized.set(key, json);
+  }
+  return json;
+}
+
+async function writeRollups(file) {
+  await mkdir(dirname(file), { recursive: true });
+  // Write to a temp file and rename so a crash never leaves a truncated file
+  const tmp = `${file}.tmp`;
+  const handle = await open(tmp, 'w');
+  try {
+    let chunk = '{';
+    let first = true;
+    // Keys retired while we await writes are skipped
+    for (const key of [...rollups.keys()]) {
+      if (!rollups.has(key)) continue;
+      chunk += (first ? '' : ',') + entryJson(key);
+      first = false;
+      if (chunk.length >= WRITE_CHUNK_CHARS) {
+        await handle.write(chunk);
+        chunk = '';
+      }
+    }
+    await handle.write(chunk + '}');
+  } finally {
+    await handle.close();
+  }
+  await rename(tmp, file);
+}
+
+/**
+ * Persist rollups in the background, a chunk at a time. A call while a
+ * write is in flight shares it.
+ * @param {string} file - Path to rollups.json
+ * @returns {Promise<void>} settles when the write is done; failures are logged
+ */
+export function persistRollups(file) {
+  persisting ??= writeRollups(file)
+    .then(() => console.log(`Persisted rollups to ${file}`))
+    .catch(err => console.error(`Failed to persist rollups: ${err.message}`))
+    .finally(() => { persisting = null; });
+  return persisting;
+}
+
+/** Persist rollups synchronously, for shutdown. */
+export function persistRollupsSync(file) {
+  try {
+    mkdirSync(dirname(file), { recursive: true });
+    const entries = [...rollups.keys()].map(entryJson);
+    writeFileSync(`${file}.tmp`, `{${entries.join(',')}}`);
+    renameSync(`${file}.tmp`, file);
+    console.log(`Persisted rollups to ${file}`);
+  } catch (err) {
+    console.error(`Failed to persist rollups: ${err.message}`);
+  }
+}
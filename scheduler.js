@@ -0,0 +1,212 @@
+/**
+ * scheduler.js — Adaptive per-provider probe scheduling.
+ *
+ * Each provider has its own next probe time instead of every provider
+ * being probed at once on one global interval. New providers are spread
+ * evenly across one interval; after each probe the next one is due after
+ * the provider's interval, plus or minus 10% jitter so probes don't clump
+ * back together. The interval adapts to recent checks:
+ *
+ *   fast    — a remote's latest check is down/unhealthy, or its status
+ *             changed 3+ times in the last 10 checks: a third of the interval
+ *   backoff — every remote has been failing for 6h or more: 4× the interval
+ *   normal  — otherwise
+ *
+ * The base interval is PROBE_INTERVAL_MS, or a provider's `probeIntervalMs`
+ * in data/servers.json. This module only decides when; the server runs
+ * the probes, at most MAX_CONCURRENT_PROBES at a time.
+ */
+
+import { NO_VERDICT } from './policy.js';
+
+const JITTER = 0.1;
+const FAST_FACTOR = 1 / 3;
+export const MIN_INTERVAL_MS = 30 * 1000;
+const BACKOFF_FACTOR = 4;
+const DEAD_AFTER_MS = 6 * 60 * 60 * 1000;
+const FLAP_WINDOW = 10;
+const FLAP_CHANGES = 3;
+const FAILING = new Set(['down', 'unhealthy']);
+
+// registryName → { nextAt, intervalMs, mode, running }
+const schedule = new Map();
+const invalidIntervals = new Set();
+
+function jittered(ms) {
+  return ms * (1 + (Math.random() * 2 - 1) * JITTER);
+}
+
+/**
+ * A provider's base interval: its `probeIntervalMs` override or the default.
+ * @param {Object} provider
+ * @param {number} defaultMs
+ */
+export function baseInterval(provider, defaultMs) {
+  const value = provider.probeIntervalMs;
+  if (value === undefined) return defaultMs;
+  if (Number.isInteger(value) && value >= MIN_INTERVAL_MS) return value;
+  if (!invalidIntervals.has(provider.registryName)) {
+    invalidIntervals.add(provider.registryName);
+    console.error(`Ignoring probeIntervalMs for ${provider.registryName}: must be an integer of at least ${MIN_INTERVAL_MS}`);
+  }
+  return defaultMs;
+}
+
+/**
+ * Schedule mode from a provider's recent checks.
+ * @param {Object[][]} remoteChecks - Checks per remote, oldest first
+ * @param {number} now
+ * @returns {'normal'|'fast'|'backoff'}
+ */
+function classify(remoteChecks, now) {
+  let failing = false;
+  let flapping = false;
+  let dead = true;
+
+  for (const checks of remoteChecks) {
+    // Short-circuited, credential-less and rate-limited checks say nothing about the server
+    const verdicts = checks.filter(c => !NO_VERDICT.has(c.status));
+    if (verdicts.length === 0) {
+      dead = false;
+      continue;
+    }
+
+    if (FAILING.has(verdicts[verdicts.length - 1].status)) {
+      failing = true;
+      let start = verdicts.length - 1;
+      while (start > 0 && FAILING.has(verdicts[start - 1].status)) start--;
+      if (now - verdicts[start].timestamp < DEAD_AFTER_MS) dead = false;
+    } else {
+      dead = false;
+    }
+
+    const recent = verdicts.slice(-FLAP_WINDOW);
+    let changes = 0;
+    for (let i = 1; i < recent.length; i++) {
+      if (recent[i].status !== recent[i - 1].status) changes++;
+    }
+    if (changes >= FLAP_CHANGES) flapping = true;
+  }
+
+  if (failing && dead) return 'backoff';
+  if (failing || flapping) return 'fast';
+  return 'normal';
+}
+
+function intervalFor(mode, baseMs) {
+  if (mode === 'fast') return Math.min(baseMs, Math.max(MIN_INTERVAL_MS, baseMs * FAST_FACTOR));
+  if (mode === 'backoff') return baseMs * BACKOFF_FACTOR;
+  return baseMs;
+}
+
+/**
+ * Make the schedule match the provider list. New providers are placed
+ * one interval after their last check if that is still ahead, otherwise
+ * spread evenly (with jitter) across the next interval.
+ *
+ * @param {Object[]} providers
+ * @param {Object} opts
+ * @param {number} opts.defaultIntervalMs
+ * @param {(provider: Object) => number|null} opts.lastCheckedAt - Latest check timestamp, if any
+ */
+export function syncSchedule(providers, { defaultIntervalMs, lastCheckedAt }) {
+  const live = new Set(providers.map(p => p.registryName));
+  for (const name of schedule.keys()) {
+    if (!live.has(name)) schedule.delete(name);
+  }
+
+  const now = Date.now();
+  const fresh = providers.filter(p => !schedule.has(p.registryName));
+  fresh.forEach((provider, i) => {
+    const intervalMs = baseInterval(provider, defaultIntervalMs);
+    const last = lastCheckedAt(provider);
+    const nextAt = last !== null && last + intervalMs > now
+      ? last + jittered(intervalMs)
+      : now + ((i + Math.random()) / fresh.length) * intervalMs;
+    schedule.set(provider.registryName, { nextAt, intervalMs, mode: 'normal', running: false });
+  });
+}
+
+/**
+ * Providers whose probe is due and not already running, most overdue first.
+ * @param {number} limit - Free probe slots
+ * @param {(registryName: string) => boolean} [ready] - Whether a due provider can start now;
+ *   those that can't stay due for a later pass
+ * @returns {string[]} registryNames
+ */
+export function dueProviders(limit, ready = () => true) {
+  if (limit <= 0) return [];
+  const now = Date.now();
+  const due = [];
+  for (const [name, entry] of schedule) {
+    if (!entry.running && entry.nextAt <= now) due.push([name, entry.nextAt]);
+  }
+  due.sort((a, b) => a[1] - b[1]);
+  const picked = [];
+  for (const [name] of due) {
+    if (picked.length >= limit) break;
+    if (ready(name)) picked.push(name);
+  }
+  return picked;
+}
+
+/** Move a provider's next probe later, e.g. until its host stops rate limiting us. */
+export function postpone(registryName, until) {
+  const entry = schedule.get(registryName);
+  if (entry && !entry.running && entry.nextAt < until) entry.nextAt = until;
+}
+
+/**
+ * Mark a provider's probe as started.
+ * @returns {number} How late it started relative to its scheduled time (ms)
+ */
+export function markStarted(registryName) {
+  const entry = schedule.get(registryName);
+  if (!entry) return 0;
+  entry.running = true;
+  return Math.max(0, Date.now() - entry.nextAt);
+}
+
+/**
+ * Schedule a provider's next probe after one finished.
+ * @param {Object} provider
+ * @param {Object[][]} remoteChecks - Its remotes' checks, oldest first
+ * @param {number} defaultIntervalMs
+ */
+export function reschedule(provider, remoteChecks, defaultIntervalMs) {
+  const entry = schedule.get(provider.registryName);
+  if (!entry) return; // retired while the probe ran
+  const now = Date.now();
+  entry.mode = classify(remoteChecks, now);
+  entry.intervalMs = intervalFor(entry.mode, baseInterval(provider, defaultIntervalMs));
+  entry.nextAt = now + jittered(entry.intervalMs);
+  entry.running = false;
+}
+
+/**
+ * A provider's schedule for the API.
+ * @returns {Object|null} { nextCheck (ISO; null while a probe runs), intervalMs, mode }
+ */
+export function getSchedule(registryName) {
+  const entry = schedule.get(registryName);
+  if (!entry) return null;
+  return {
+    nextCheck: entry.running ? null : new Date(entry.nextAt).toISOString(),
+    intervalMs: Math.round(entry.intervalMs),
+    mode: entry.mode,
+  };
+}
+
+/** Scheduler counts for /metrics: { scheduled, running, overdue, modes } */
+export function schedulerStats() {
+  const now = Date.now();
+  const modes = { normal: 0, fast: 0, backoff: 0 };
+  let running = 0;
+  let overdue = 0;
+  for (const entry of schedule.values()) {
+    modes[entry.mode]++;
+    if (entry.running) running++;
+    else if (entry.nextAt <= now) overdue++;
+  }
+  return { scheduled: schedule.size, running, overdue, modes };
+}
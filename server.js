@@ -1,9 +1,34 @@
 import express from 'express';
+import { z } from 'zod';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
 import { readFileSync, writeFileSync, mkdirSync, existsSync } from 'fs';
+import { createHash } from 'crypto';
 import { probeServer } from './prober.js';
 import { runIngest } from './ingest.js';
+import { createStorage } from './storage.js';
+import { loadWebhooks, observeCheck, retireWebhookState } from './webhooks.js';
+import { trackCheck, retireIncidents, listIncidents, loadIncidents, persistIncidents } from './incidents.js';
+import { trackTransition, seedBaseline, retireTransitions, listTransitions, loadTransitions, persistTransitions } from './transitions.js';
+import { broadcast, addClient, streamStats } from './stream.js';
+import { BADGE_TYPES, renderBadge, badgeContent } from './badges.js';
+import { FEED_LIMIT, feedUpdated, renderAtom, changelogEntries, transitionEntries } from './feeds.js';
+import { observeProbe, renderMetrics } from './metrics.js';
+import { parseStatusQuery, runStatusQuery, countByStatus } from './query.js';
+import { TICK_HOURS, recordAggregate, forgetAggregate, retireAggregates, aggregateUptime, hourlyTicks } from './aggregates.js';
+import { markChanged, snapshotValue, sendSnapshot } from './snapshot.js';
+import { addWindow, updateWindow, removeWindow, activeWindow, listWindows, loadMaintenance, persistMaintenance } from './maintenance.js';
+import { verifyAdmin } from './admin.js';
+import { egressSummary } from './egress.js';
+import { listCustomProviders, getCustomProvider, addProvider, updateProvider, removeProvider, addRemote, updateRemote, removeRemote, mergeOverlay, loadOverlay, persistOverlay } from './overlay.js';
+import { recordTools, retireCatalog, getCatalog, listToolChanges, loadCatalogs, persistCatalogs } from './catalog.js';
+import { loadCredentials, hasCredentials, checkDeclaredHeaders, getAuthHeaders, forgetToken, redact } from './credentials.js';
+import { loadAgents, hasAgents, verifyRequest, noteActivity, listAgents } from './agents.js';
+import { reportVantage, retireVantages, decide, listVantages } from './quorum.js';
+import { syncSchedule, dueProviders, markStarted, reschedule, postpone, getSchedule, schedulerStats } from './scheduler.js';
+import { loadHostLimits, hostOf, hostReady, hostDeferredUntil, hostStats } from './hostlimit.js';
+import { STATUS_PRIORITY, NO_VERDICT, loadPolicy, getGlobalPolicy, resolvePolicy, latencyTier } from './policy.js';
+import { RANGES, recordRollup, retireRollups, hasRollups, queryRollups, loadRollups, persistRollups, persistRollupsSync } from './rollups.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -13,14 +38,42 @@ const PORT = process.env.PORT || 3000;
 const PROBE_INTERVAL_MS = parseInt(process.env.PROBE_INTERVAL_MS || '300000');
 const INGEST_INTERVAL_MS = parseInt(process.env.INGEST_INTERVAL_MS || '86400000');
 const PERSIST_INTERVAL_MS = 5 * 60 * 1000;
+// How often the scheduler looks for due probes
+const SCHEDULER_TICK_MS = 1000;
 const HISTORY_MAX_AGE_MS = 24 * 60 * 60 * 1000;
 const MAX_CONCURRENT_PROBES = parseInt(process.env.MAX_CONCURRENT_PROBES || '15');
 const DATA_DIR = join(__dirname, 'data');
-const HISTORY_FILE = join(DATA_DIR, 'history.json');
+const HISTORY_BACKEND = process.env.HISTORY_BACKEND || 'log';
+const ROLLUPS_FILE = join(DATA_DIR, 'rollups.json');
 const FAVORITES_FILE = join(DATA_DIR, 'favorites.json');
+const INCIDENTS_FILE = join(DATA_DIR, 'incidents.json');
+const TOOLS_FILE = join(DATA_DIR, 'tools.json');
+const TRANSITIONS_FILE = join(DATA_DIR, 'transitions.json');
+const MAINTENANCE_FILE = join(DATA_DIR, 'maintenance.json');
+const CHANGELOG_FILE = join(DATA_DIR, 'changelog.json');
+const HEALTH_POLICY_FILE = process.env.HEALTH_POLICY_FILE || join(DATA_DIR, 'health-policy.json');
+const WEBHOOKS_FILE = process.env.WEBHOOKS_FILE || join(DATA_DIR, 'webhooks.json');
+const SECRETS_FILE = process.env.SECRETS_FILE || join(DATA_DIR, 'secrets.json');
+const HOST_LIMITS_FILE = process.env.HOST_LIMITS_FILE || join(DATA_DIR, 'host-limits.json');
+const AGENTS_FILE = process.env.AGENTS_FILE || join(DATA_DIR, 'agents.json');
+const CUSTOM_PROVIDERS_FILE = process.env.CUSTOM_PROVIDERS_FILE || join(DATA_DIR, 'custom-providers.json');
+// Distributed probing: vantages that must agree before a remote counts as down
+const QUORUM = Math.max(1, parseInt(process.env.QUORUM || '2'));
+const LOCAL_VANTAGE = process.env.LOCAL_VANTAGE || 'local';
+// Set to false to only coordinate agents and not probe from this server
+const LOCAL_PROBES = process.env.LOCAL_PROBES !== 'false';
+// Vantage results older than this don't count towards quorum
+const VANTAGE_MAX_AGE_MS = 2 * PROBE_INTERVAL_MS;
+// tools/list and friends can't make an agent's result bigger than this
+const AGENT_BATCH_LIMIT = '5mb';
+// Absolute dashboard URL for feed links; defaults to the host the request came in on
+const PUBLIC_URL = process.env.PUBLIC_URL ? process.env.PUBLIC_URL.replace(/\/+$/, '') : null;
+// Badges are re-rendered at most this often by caches in front of us (e.g. GitHub's image proxy)
+const BADGE_MAX_AGE_S = 60;
 
 // --- Load provider configs ---
-function loadProviders() {
+// Registry providers as ingested; see overlay.js for the manual ones merged in
+function loadRegistryProviders() {
   const newPath = join(DATA_DIR, 'servers.json');
   const oldPath = join(__dirname, 'servers.json');
 
@@ -41,59 +94,156 @@ function loadProviders() {
   return [];
 }
 
-const providers = loadProviders();
+loadOverlay(CUSTOM_PROVIDERS_FILE);
+let registryProviders = loadRegistryProviders();
+let providers = mergeOverlay(registryProviders);
+let providersByName = new Map(providers.map(p => [p.registryName, p]));
 
 // --- In-memory state ---
 // History keyed by "registryName|url" (composite key per remote)
 const history = new Map();
 const favoriteCounts = new Map(); // registryName → aggregate favorite count
 let lastCheckTime = null;
-let nextCheckTime = null;
-let probeInProgress = false;
 
 // Initialize empty history for each remote
-for (const provider of providers) {
-  for (const remote of provider.remotes) {
-    history.set(historyKey(provider.registryName, remote.url), []);
-  }
-}
+syncHistory();
 
 function historyKey(registryName, url) {
   return `${registryName}|${url}`;
 }
 
-// --- Persistence ---
-function loadHistory() {
-  try {
-    if (existsSync(HISTORY_FILE)) {
-      const data = JSON.parse(readFileSync(HISTORY_FILE, 'utf-8'));
-      const cutoff = Date.now() - HISTORY_MAX_AGE_MS;
-      for (const [key, checks] of Object.entries(data)) {
-        if (history.has(key)) {
-          history.set(key, checks.filter(c => c.timestamp > cutoff));
-        }
+/**
+ * Make the history Map match the current provider list: create empty
+ * buckets for new remotes and retire buckets for remotes that are gone.
+ */
+function syncHistory() {
+  const live = new Set();
+  let added = 0;
+  for (const provider of providers) {
+    for (const remote of provider.remotes) {
+      const key = historyKey(provider.registryName, remote.url);
+      live.add(key);
+      if (!history.has(key)) {
+        history.set(key, []);
+        added++;
       }
-      console.log(`Loaded history from ${HISTORY_FILE}`);
     }
+  }
+
+  let retired = 0;
+  for (const key of history.keys()) {
+    if (!live.has(key)) {
+      history.delete(key);
+      retireRollups(key);
+      retireAggregates(key);
+      retireWebhookState(key);
+      retireIncidents(key);
+      retireTransitions(key);
+      retireCatalog(key);
+      retireVantages(key);
+      retired++;
+    }
+  }
+
+  return { added, retired };
+}
+
+/**
+ * Swap in the registry provider list from disk (after ingest rewrote it).
+ */
+function reloadProviders() {
+  let next;
+  try {
+    next = loadRegistryProviders();
   } catch (err) {
-    console.error(`Failed to load history: ${err.message}`);
+    console.error(`Failed to reload providers, keeping current list: ${err.message}`);
+    return;
   }
+  if (next.length === 0) {
+    console.error('Reloaded provider list is empty, keeping current list');
+    return;
+  }
+  registryProviders = next;
+  applyProviders();
 }
 
-function persistHistory() {
+/**
+ * Merge the registry and manual providers into the monitored list.
+ * In-flight probes keep their own provider objects; results for retired
+ * remotes are dropped by recordResult() since their bucket is gone.
+ */
+function applyProviders() {
+  providers = mergeOverlay(registryProviders);
+  providersByName = new Map(providers.map(p => [p.registryName, p]));
+  markChanged();
+  const { added, retired } = syncHistory();
+  syncProbeSchedule();
+  // MCPDD_AUTH_* env vars are matched against registry names, which may be new
+  loadCredentials(SECRETS_FILE, providers.map(p => p.registryName));
+  checkDeclaredHeaders(providers);
+  const totalRemotes = providers.reduce((s, p) => s + p.remotes.length, 0);
+  console.log(
+    `Reloaded providers: ${providers.length} providers (${totalRemotes} remotes), ` +
+    `+${added} remotes, -${retired} retired${probesInFlight > 0 ? ` (${probesInFlight} probes in flight)` : ''}`
+  );
+}
+
+// --- Persistence ---
+const storage = createStorage(HISTORY_BACKEND, { dataDir: DATA_DIR });
+
+/**
+ * Load raw history. A failure is fatal: carrying on with empty history would
+ * overwrite the files on the next persist or compaction.
+ */
+async function loadHistory() {
+  let loaded;
   try {
-    mkdirSync(DATA_DIR, { recursive: true });
-    const obj = {};
-    for (const [key, checks] of history) {
-      obj[key] = checks;
-    }
-    writeFileSync(HISTORY_FILE, JSON.stringify(obj));
-    console.log(`Persisted history to ${HISTORY_FILE}`);
+    loaded = await storage.load(key => history.has(key), HISTORY_MAX_AGE_MS);
   } catch (err) {
-    console.error(`Failed to persist history: ${err.message}`);
+    console.error(`Failed to load history, exiting so it isn't overwritten: ${err.message}`);
+    process.exit(1);
+  }
+  for (const [key, checks] of loaded) {
+    history.set(key, checks);
+    for (const check of checks) recordAggregate(key, check);
   }
 }
 
+/**
+ * Load the transition log. Remotes with no logged transition take their
+ * baseline from the latest verdict in history, so the first check after a
+ * restart isn't mistaken for a change.
+ */
+function loadTransitionLog() {
+  loadTransitions(TRANSITIONS_FILE, key => history.has(key));
+  for (const [key, checks] of history) {
+    const last = checks.findLast(c => !NO_VERDICT.has(c.status));
+    if (last) seedBaseline(key, last.status);
+  }
+}
+
+/**
+ * Load long-term rollups. On the first boot after upgrading there is no
+ * rollups file yet, so seed it from whatever raw history was loaded.
+ */
+function loadLongTermHistory() {
+  loadRollups(ROLLUPS_FILE, key => history.has(key));
+  if (hasRollups()) return;
+  for (const [key, checks] of history) {
+    for (const check of checks) recordRollup(key, check);
+  }
+}
+
+function persistHistory() {
+  storage.flush(history).catch(err => {
+    console.error(`Failed to persist history: ${err.message}`);
+  });
+  persistRollups(ROLLUPS_FILE);
+  persistIncidents(INCIDENTS_FILE);
+  persistTransitions(TRANSITIONS_FILE);
+  persistCatalogs(TOOLS_FILE);
+}
+
 // --- Favorites persistence ---
 function loadFavorites() {
   try {
@@ -123,20 +273,6 @@ function persistFavorites() {
   }
 }
 
-// --- Concurrency limiter ---
-async function parallelLimit(tasks, limit) {
-  const results = [];
-  let i = 0;
-  const workers = Array.from({ length: Math.min(limit, tasks.length) }, async () => {
-    while (i < tasks.length) {
-      const idx = i++;
-      results[idx] = await tasks[idx]();
-    }
-  });
-  await Promise.all(workers);
-  return results;
-}
-
 // --- Fisher-Yates shuffle ---
 function shuffle(arr) {
   const a = [...arr];
@@ -147,58 +283,130 @@ function shuffle(arr) {
   return a;
 }
 
-// --- Probe all providers ---
-let probeStartedAt = null;
-let skipCount = 0;
+// --- Probe scheduling ---
+let probesInFlight = 0;
+let probesCompleted = 0;
+let lastSchedulerLagMs = null;
 
-async function probeAll() {
-  if (probeInProgress) {
-    skipCount++;
-    const overrunSec = probeStartedAt ? Math.round((Date.now() - probeStartedAt) / 1000) : '?';
-    console.log(`Probe already in progress (running ${overrunSec}s), skipping (${skipCount} consecutive skips)`);
-    return;
+function lastCheckedAt(provider) {
+  let last = null;
+  for (const remote of provider.remotes) {
+    const checks = history.get(historyKey(provider.registryName, remote.url)) || [];
+    if (checks.length > 0) last = Math.max(last ?? 0, checks[checks.length - 1].timestamp);
   }
-  probeInProgress = true;
-  skipCount = 0;
-  probeStartedAt = Date.now();
-  const startTime = probeStartedAt;
-  console.log(`\n--- Probe cycle starting at ${new Date().toISOString()} ---`);
+  return last;
+}
 
-  const cutoff = Date.now() - HISTORY_MAX_AGE_MS;
+function syncProbeSchedule() {
+  syncSchedule(providers, { defaultIntervalMs: PROBE_INTERVAL_MS, lastCheckedAt });
+}
 
-  // Build tasks: one per provider
-  const providerTasks = providers.map(provider => async () => {
-    if (provider.remotes.length === 1) {
-      // Single-remote: probe directly
-      const remote = provider.remotes[0];
-      const result = await probeRemote(provider, remote);
-      recordResult(provider.registryName, remote.url, result, cutoff);
-    } else {
-      // Multi-remote: short-circuit probing
-      await probeMultiRemote(provider, cutoff);
-    }
-  });
+/**
+ * Whether a due provider can start without waiting on its hosts' limits.
+ * If every host it uses is deferred after a 429, it is postponed until
+ * the first deferral ends instead.
+ */
+function providerReady(name) {
+  const provider = providersByName.get(name);
+  if (!provider) return false;
+  const hosts = provider.remotes.map(r => hostOf(r.url));
+  const deferrals = hosts.map(hostDeferredUntil);
+  if (deferrals.every(until => until !== null)) {
+    postpone(name, Math.min(...deferrals));
+    return false;
+  }
+  return hosts.every(hostReady);
+}
 
-  await parallelLimit(providerTasks, MAX_CONCURRENT_PROBES);
+/** Start due probes in the free slots; called every tick and whenever a probe finishes. */
+function dispatchDue() {
+  for (const name of dueProviders(MAX_CONCURRENT_PROBES - probesInFlight, providerReady)) {
+    const provider = providersByName.get(name);
+    if (!provider) continue;
+    lastSchedulerLagMs = markStarted(name);
+    probesInFlight++;
+    const startedAt = Date.now();
+    broadcast('probe-start', { registryName: name });
+    probeProvider(provider)
+      .catch(err => console.error(`Probe of ${name} failed: ${err.message}`))
+      .finally(() => {
+        probesInFlight--;
+        probesCompleted++;
+        // The list may have been reloaded while the probe ran
+        const current = providersByName.get(name);
+        if (current) {
+          const remoteChecks = current.remotes.map(r => history.get(historyKey(name, r.url)) || []);
+          reschedule(current, remoteChecks, PROBE_INTERVAL_MS);
+          markChanged(name);
+        }
+        broadcast('probe-finish', {
+          registryName: name,
+          durationMs: Date.now() - startedAt,
+          nextCheck: getSchedule(name)?.nextCheck ?? null,
+        });
+        dispatchDue();
+      });
+  }
+}
 
-  lastCheckTime = new Date().toISOString();
-  nextCheckTime = new Date(Date.now() + PROBE_INTERVAL_MS).toISOString();
-  probeInProgress = false;
-  probeStartedAt = null;
+async function probeProvider(provider) {
+  const cutoff = Date.now() - HISTORY_MAX_AGE_MS;
+  if (!LOCAL_PROBES) {
+    // Coordinator only: record the agents' verdict for each remote
+    for (const remote of provider.remotes) recordResult(provider.registryName, remote.url, null, cutoff);
+  } else if (provider.remotes.length === 1) {
+    // Single-remote: probe directly
+    const remote = provider.remotes[0];
+    const result = await probeRemote(provider, remote);
+    recordResult(provider.registryName, remote.url, result, cutoff);
+  } else {
+    // Multi-remote: short-circuit probing
+    await probeMultiRemote(provider, cutoff);
+  }
+}
 
-  const elapsed = Date.now() - startTime;
-  const totalRemotes = providers.reduce((s, p) => s + p.remotes.length, 0);
+// Periodic scheduler summary
+let completedAtLastLog = 0;
+function logSchedulerStatus() {
+  const stats = schedulerStats();
   const mem = process.memoryUsage();
-  console.log(`--- Probe cycle complete in ${(elapsed / 1000).toFixed(1)}s (${providers.length} providers, ${totalRemotes} remotes) ---`);
+  console.log(
+    `--- Scheduler: ${probesCompleted - completedAtLastLog} probes in the last ${PROBE_INTERVAL_MS / 1000}s, ` +
+    `${stats.running} running, ${stats.overdue} overdue, ${stats.modes.fast} fast, ${stats.modes.backoff} backed off ---`
+  );
   console.log(`    Memory: rss=${Math.round(mem.rss / 1048576)}MB heap=${Math.round(mem.heapUsed / 1048576)}/${Math.round(mem.heapTotal / 1048576)}MB`);
+  completedAtLastLog = probesCompleted;
 }
 
 async function probeRemote(provider, remote) {
-  return probeServer({
+  let headers;
+  try {
+    headers = await getAuthHeaders(provider.registryName);
+  } catch (err) {
+    // No token, no probe: this says nothing about the server itself
+    return {
+      timestamp: Date.now(),
+      status: 'unknown',
+      auth: 'protected',
+      latencyMs: null,
+      toolCount: null,
+      authenticated: null,
+      error: `credentials: ${err.message}`,
+    };
+  }
+
+  const result = await probeServer({
     url: remote.url,
     transport: remote.transport,
     expectAuth: remote.expectAuth,
+    secretHeaders: remote.secretHeaders,
+    policy: resolvePolicy(provider),
+    headers: headers || undefined,
+    alternate: remote.sseUrl ? { url: remote.sseUrl, transport: 'sse' } : undefined,
   });
+  // A rejected OAuth token may just be revoked early; fetch a fresh one next time
+  if (result.authenticated === false) forgetToken(provider.registryName);
+  return result;
 }
 
 /**
@@ -232,24 +440,87 @@ async function probeMultiRemote(provider, cutoff) {
   }
 }
 
-function recordResult(registryName, url, result, cutoff) {
+/**
+ * With probe agents configured, fold this server's own result (null when
+ * LOCAL_PROBES is off) into the quorum verdict across vantage points.
+ */
+function withQuorum(key, own) {
+  if (own) reportVantage(key, LOCAL_VANTAGE, own);
+  const verdict = decide(key, { quorum: QUORUM, maxAgeMs: VANTAGE_MAX_AGE_MS, prefer: LOCAL_VANTAGE });
+  const timestamp = own?.timestamp ?? Date.now();
+  if (!verdict) {
+    return own || {
+      timestamp,
+      status: 'unknown',
+      auth: 'unknown',
+      latencyMs: null,
+      toolCount: null,
+      error: 'no recent results from any vantage point',
+    };
+  }
+  return { ...verdict.check, timestamp, status: verdict.status, quorum: verdict.quorum };
+}
+
+function recordResult(registryName, url, probeResult, cutoff) {
   const key = historyKey(registryName, url);
   const checks = history.get(key);
   if (!checks) return;
 
+  let result = null;
+  if (probeResult) {
+    // The full tool list goes to the catalog, not into every history entry
+    const { tools, ...own } = probeResult;
+    result = own;
+    if (result.error) result.error = redact(result.error);
+    if (tools) recordTools(registryName, url, tools, result.timestamp);
+  }
+  if (hasAgents()) result = withQuorum(key, result);
+  if (!result) return;
+  lastCheckTime = new Date(result.timestamp).toISOString();
+  // Checks during declared maintenance are kept, but don't count against the remote
+  const declared = activeWindow(registryName, url, result.timestamp);
+  if (declared) result.maintenance = declared.id;
+
   checks.push(result);
+  recordRollup(key, result);
+  recordAggregate(key, result);
+  markChanged(registryName);
+  try {
+    storage.append(key, result);
+  } catch (err) {
+    console.error(`Failed to append history: ${err.message}`);
+  }
+  observeProbe(result);
+  if (!result.maintenance) {
+    observeCheck(registryName, url, result);
+    trackCheck(registryName, url, result);
+    trackTransition(registryName, url, result);
+  }
+  broadcast('result', () => {
+    const provider = providersByName.get(registryName);
+    return {
+      registryName,
+      url,
+      status: result.status,
+      latencyMs: result.latencyMs,
+      timestamp: new Date(result.timestamp).toISOString(),
+      provider: provider ? buildProviderSummary(provider) : null,
+    };
+  });
 
   // Log
   const label = `${registryName.substring(0, 30)}`;
   console.log(
     `  ${label.padEnd(32)} ${result.status.padEnd(10)} auth=${(result.auth || '').padEnd(10)} ` +
     `latency=${result.latencyMs !== null ? result.latencyMs + 'ms' : '---'}` +
+    (result.quorum ? ` quorum=${result.quorum.down}/${result.quorum.total} down` : '') +
+    (result.confirmation ? ` ${result.confirmation.verdict} after ${result.confirmation.attempts.length} attempts` : '') +
     (result.error ? ` err: ${result.error.substring(0, 50)}` : '')
   );
 
   // Trim old entries
   while (checks.length > 0 && checks[0].timestamp < cutoff) {
-    checks.shift();
+    forgetAggregate(key, checks.shift());
   }
 }
 
@@ -268,12 +539,10 @@ async function probeProviderFull(provider) {
 }
 
 // --- Status priority ---
-const STATUS_PRIORITY = { down: 0, unhealthy: 1, degraded: 2, healthy: 3, unknown: 4 };
-
 function worstStatus(statuses) {
   let worst = 'unknown';
   for (const s of statuses) {
-    if ((STATUS_PRIORITY[s] ?? 4) < (STATUS_PRIORITY[worst] ?? 4)) {
+    if ((STATUS_PRIORITY[s] ?? STATUS_PRIORITY.unknown) < (STATUS_PRIORITY[worst] ?? STATUS_PRIORITY.unknown)) {
       worst = s;
     }
   }
@@ -286,12 +555,12 @@ function computeHealthIcons(remoteStatuses) {
   if (maxIcons === 0) return [];
 
   // Map statuses to color categories
-  const statusToColor = { healthy: 'green', degraded: 'yellow', unhealthy: 'orange', down: 'red', unknown: 'gray' };
-  const colorPriority = { red: 0, orange: 1, yellow: 2, gray: 3, green: 4 };
+  const statusToColor = { healthy: 'green', degraded: 'yellow', unhealthy: 'orange', down: 'red', 'rate-limited': 'purple', unknown: 'gray' };
+  const colorPriority = { red: 0, orange: 1, yellow: 2, purple: 3, gray: 4, green: 5 };
 
   // Get distinct colors present
   const colorsPresent = [...new Set(remoteStatuses.map(s => statusToColor[s] || 'gray'))];
-  colorsPresent.sort((a, b) => (colorPriority[a] ?? 4) - (colorPriority[b] ?? 4));
+  colorsPresent.sort((a, b) => (colorPriority[a] ?? colorPriority.gray) - (colorPriority[b] ?? colorPriority.gray));
 
   // One icon per distinct color, fill remaining with worst color
   const icons = [];
@@ -303,29 +572,15 @@ function computeHealthIcons(remoteStatuses) {
   }
 
   // Sort so worst is first (leftmost)
-  icons.sort((a, b) => (colorPriority[a] ?? 4) - (colorPriority[b] ?? 4));
+  icons.sort((a, b) => (colorPriority[a] ?? colorPriority.gray) - (colorPriority[b] ?? colorPriority.gray));
 
   return icons;
 }
 
-// --- Downsample to 24 hourly ticks ---
-function downsampleToHours(checks) {
-  const now = Date.now();
-  const ticks = [];
-
-  for (let i = 23; i >= 0; i--) {
-    const hourStart = now - (i + 1) * 3600000;
-    const hourEnd = now - i * 3600000;
-    const inHour = checks.filter(c => c.timestamp >= hourStart && c.timestamp < hourEnd);
-
-    if (inHour.length === 0) {
-      ticks.push({ status: 'unknown' });
-    } else {
-      ticks.push({ status: worstStatus(inHour.map(c => c.status)) });
-    }
-  }
-
-  return ticks;
+// Provider-level uptime: average of remote uptimes (where available)
+function averageUptime(uptimes) {
+  const known = uptimes.filter(u => u !== null);
+  return known.length > 0 ? Math.round((known.reduce((a, b) => a + b, 0) / known.length) * 100) / 100 : null;
 }
 
 // --- Build remote detail for API ---
@@ -334,10 +589,6 @@ function buildRemoteDetail(provider, remote) {
   const checks = history.get(key) || [];
   const latest = checks.length > 0 ? checks[checks.length - 1] : null;
 
-  const totalChecks = checks.length;
-  const nonDownChecks = checks.filter(c => c.status !== 'down').length;
-  const uptimePercent = totalChecks > 0 ? Math.round((nonDownChecks / totalChecks) * 10000) / 100 : null;
-
   return {
     remoteName: remote.remoteName,
     url: remote.url,
@@ -345,78 +596,230 @@ function buildRemoteDetail(provider, remote) {
     status: latest ? latest.status : 'unknown',
     auth: latest ? latest.auth : (remote.expectAuth ? 'protected' : 'unknown'),
     latencyMs: latest ? latest.latencyMs : null,
+    latencyTier: latest?.latencyTier ?? null,
     toolCount: latest ? latest.toolCount : null,
-    uptimePercent,
-    history: downsampleToHours(checks),
+    serverInfo: latest?.serverInfo ?? null,
+    capabilities: latest?.capabilities ?? null,
+    conformance: latest?.conformance ?? null,
+    authenticated: latest?.authenticated ?? null,
+    authHealth: latest?.authHealth ?? null,
+    timings: latest?.timings ?? null,
+    quorum: latest?.quorum ?? null,
+    confirmation: latest?.confirmation ?? null,
+    // Id of the maintenance window the latest check fell in
+    maintenance: latest?.maintenance ?? null,
+    transientFailures: checks.filter(c => c.confirmation?.verdict === 'transient').length,
+    // Remotes of a provider are probed together
+    nextCheck: getSchedule(provider.registryName)?.nextCheck ?? null,
+    uptimePercent: aggregateUptime(key),
+    history: hourlyTicks(key),
   };
 }
 
-// --- API: build provider-grouped status response ---
-function buildStatusResponse() {
-  const providerList = providers.map(provider => {
-    const remoteDetails = provider.remotes.map(r => buildRemoteDetail(provider, r));
-    const remoteStatuses = remoteDetails.map(r => r.status);
-    const aggregate = worstStatus(remoteStatuses);
-
-    // For the provider-level worst latency (from latest checks)
-    const latencies = remoteDetails.map(r => r.latencyMs).filter(l => l !== null);
-    const worstLatency = latencies.length > 0 ? Math.max(...latencies) : null;
-
-    // Provider-level uptime: average of remote uptimes (where available)
-    const uptimes = remoteDetails.map(r => r.uptimePercent).filter(u => u !== null);
-    const avgUptime = uptimes.length > 0 ? Math.round((uptimes.reduce((a, b) => a + b, 0) / uptimes.length) * 100) / 100 : null;
-
-    // Aggregate 24h history across all remotes (worst per hour)
-    const aggregateHistory = [];
-    for (let h = 0; h < 24; h++) {
-      const hourStatuses = remoteDetails.map(r => r.history[h]?.status || 'unknown');
-      aggregateHistory.push({ status: worstStatus(hourStatuses) });
-    }
+// --- API: provider summary (dashboard rows, badges) ---
+function buildProviderSummary(provider) {
+  const remoteDetails = provider.remotes.map(r => buildRemoteDetail(provider, r));
+  const remoteStatuses = remoteDetails.map(r => r.status);
+  const aggregate = worstStatus(remoteStatuses);
+
+  // For the provider-level worst latency (from latest checks)
+  const latencies = remoteDetails.map(r => r.latencyMs).filter(l => l !== null);
+  const worstLatency = latencies.length > 0 ? Math.max(...latencies) : null;
+
+  const avgUptime = averageUptime(remoteDetails.map(r => r.uptimePercent));
+
+  // Aggregate 24h history across all remotes (worst per hour)
+  const aggregateHistory = [];
+  for (let h = 0; h < TICK_HOURS; h++) {
+    const hourStatuses = remoteDetails.map(r => r.history[h]?.status || 'unknown');
+    const transient = remoteDetails.reduce((sum, r) => sum + (r.history[h]?.transient || 0), 0);
+    const maintenance = remoteDetails.reduce((sum, r) => sum + (r.history[h]?.maintenance || 0), 0);
+    let status = worstStatus(hourStatuses);
+    // Maintenance only shows when no remote has anything else for the hour
+    if (status === 'unknown' && hourStatuses.includes('maintenance')) status = 'maintenance';
+    aggregateHistory.push({ status, ...(transient ? { transient } : {}), ...(maintenance ? { maintenance } : {}) });
+  }
 
-    return {
+  return {
+    registryName: provider.registryName,
+    registryVersion: provider.registryVersion,
+    source: provider.source,
+    displayName: provider.displayName,
+    sseOnly: provider.sseOnly,
+    aggregateStatus: aggregate,
+    healthIcons: computeHealthIcons(remoteStatuses),
+    remoteCount: provider.remotes.length,
+    worstLatencyMs: worstLatency,
+    uptimePercent: avgUptime,
+    maintenance: remoteDetails.some(r => r.maintenance !== null),
+    history: aggregateHistory,
+    remotes: remoteDetails,
+  };
+}
+
+// --- API: provider detail (detail view) ---
+function buildProviderDetail(provider) {
+  const remoteDetails = provider.remotes.map(r => ({
+    ...buildRemoteDetail(provider, r),
+    vantages: listVantages(historyKey(provider.registryName, r.url), VANTAGE_MAX_AGE_MS),
+  }));
+  const remoteStatuses = remoteDetails.map(r => r.status);
+  // Worst remote's score from its latest check
+  const scores = remoteDetails.map(r => r.conformance?.score).filter(s => s !== undefined);
+
+  return {
+    registryName: provider.registryName,
+    registryVersion: provider.registryVersion,
+    source: provider.source,
+    displayName: provider.displayName,
+    sseOnly: provider.sseOnly,
+    aggregateStatus: worstStatus(remoteStatuses),
+    healthIcons: computeHealthIcons(remoteStatuses),
+    remoteCount: provider.remotes.length,
+    healthPolicy: resolvePolicy(provider),
+    conformanceScore: scores.length > 0 ? Math.min(...scores) : null,
+    credentials: hasCredentials(provider.registryName),
+    schedule: getSchedule(provider.registryName),
+    maintenanceWindows: listWindows({
       registryName: provider.registryName,
-      registryVersion: provider.registryVersion,
-      displayName: provider.displayName,
-      sseOnly: provider.sseOnly,
-      aggregateStatus: aggregate,
-      healthIcons: computeHealthIcons(remoteStatuses),
-      remoteCount: provider.remotes.length,
-      worstLatencyMs: worstLatency,
-      uptimePercent: avgUptime,
-      history: aggregateHistory,
-      remotes: remoteDetails,
-    };
-  });
+      urls: provider.remotes.map(r => r.url),
+      current: true,
+    }),
+    remotes: remoteDetails,
+  };
+}
 
+// --- API: provider facts for list queries ---
+// The same status, uptime and latency buildProviderSummary() reports, without
+// downsampling history, so filtering and sorting every provider stays cheap.
+function buildProviderFacts(provider) {
+  const statuses = [];
+  const uptimes = [];
+  const latencies = [];
+  let anyProtected = false;
+  for (const remote of provider.remotes) {
+    const key = historyKey(provider.registryName, remote.url);
+    const checks = history.get(key) || [];
+    const latest = checks.length > 0 ? checks[checks.length - 1] : null;
+    statuses.push(latest ? latest.status : 'unknown');
+    uptimes.push(aggregateUptime(key));
+    if (latest && latest.latencyMs !== null) latencies.push(latest.latencyMs);
+    if ((latest ? latest.auth : (remote.expectAuth ? 'protected' : 'unknown')) === 'protected') anyProtected = true;
+  }
+  return {
+    provider,
+    registryName: provider.registryName,
+    displayName: provider.displayName,
+    sseOnly: provider.sseOnly,
+    status: worstStatus(statuses),
+    auth: anyProtected ? 'protected' : 'open',
+    source: provider.source,
+    uptimePercent: averageUptime(uptimes),
+    worstLatencyMs: latencies.length > 0 ? Math.max(...latencies) : null,
+    favorites: favoriteCounts.get(provider.registryName) || 0,
+  };
+}
+
+// --- API: snapshot values (see snapshot.js), rebuilt only for providers that changed ---
+function providerFacts() {
+  return providers.map(p => snapshotValue(p.registryName, 'facts', () => buildProviderFacts(p)));
+}
+
+function providerSummary(provider) {
+  return snapshotValue(provider.registryName, 'summary', () => buildProviderSummary(provider));
+}
+
+// --- API: build provider-grouped status response ---
+function buildStatusResponse(query) {
+  const { rows, total, nextCursor } = runStatusQuery(providerFacts(), query);
+  return {
+    lastCheck: lastCheckTime,
+    total,
+    providers: rows.map(f => providerSummary(f.provider)),
+    nextCursor,
+  };
+}
+
+function buildStatusSummary(query) {
+  const { total, counts } = countByStatus(providerFacts(), query.filters);
   return {
     lastCheck: lastCheckTime,
-    nextCheck: nextCheckTime,
-    providers: providerList,
+    monitored: providers.length,
+    total,
+    counts,
   };
 }
 
 // --- Auto-ingest ---
+let lastIngest = null; // { at, success, result } — result is from the last successful run
+
 async function doIngest() {
   console.log(`\n--- Ingest starting at ${new Date().toISOString()} ---`);
+  const at = Date.now();
+  broadcast('ingest-start', { at: new Date(at).toISOString() });
   try {
     const result = await runIngest();
     if (result) {
       console.log(`--- Ingest complete: ${result.providerCount} providers (+${result.added} -${result.removed} ~${result.changed}) ---`);
+      lastIngest = { at, success: true, result };
+      reloadProviders();
     } else {
       console.log('--- Ingest: no result (cache missing?) ---');
+      lastIngest = { at, success: false, result: lastIngest?.result ?? null };
     }
   } catch (err) {
     console.error(`--- Ingest failed: ${err.message} ---`);
+    lastIngest = { at, success: false, result: lastIngest?.result ?? null };
   }
+  const { success, result } = lastIngest;
+  broadcast('ingest-finish', {
+    at: new Date(at).toISOString(),
+    success,
+    ...(success ? {
+      providerCount: result.providerCount,
+      added: result.added,
+      removed: result.removed,
+      changed: result.changed,
+    } : {}),
+  });
 }
 
 // --- Express app ---
 const app = express();
 app.use(express.static(join(__dirname, 'public')));
+// Agent requests are signed over the raw body, and result batches outgrow the default limit
+app.use('/api/agent', express.json({
+  limit: AGENT_BATCH_LIMIT,
+  verify: (req, _res, buf) => { req.rawBody = buf; },
+}));
 app.use(express.json());
 
+// Provider list; see query.js for filters, sorting and pagination
 app.get('/api/status', (req, res) => {
-  res.json(buildStatusResponse());
+  const { query, error } = parseStatusQuery(req.query);
+  if (error) return res.status(400).json({ error });
+  sendSnapshot(req, res, () => buildStatusResponse(query));
+});
+
+// The same with the parameters in a JSON body, for a names list too long for a URL.
+// The snapshot cache is keyed by URL, so these are built per request
+app.post('/api/status', (req, res) => {
+  const { query, error } = parseStatusQuery(req.body, { body: true });
+  if (error) return res.status(400).json({ error });
+  res.json(buildStatusResponse(query));
+});
+
+// Provider counts per status, under the same filters as /api/status
+app.get('/api/status/summary', (req, res) => {
+  const { query, error } = parseStatusQuery(req.query, { paging: false });
+  if (error) return res.status(400).json({ error });
+  sendSnapshot(req, res, () => buildStatusSummary(query));
+});
+
+app.post('/api/status/summary', (req, res) => {
+  const { query, error } = parseStatusQuery(req.body, { paging: false, body: true });
+  if (error) return res.status(400).json({ error });
+  res.json(buildStatusSummary(query));
 });
 
 // Detail endpoint for a single provider
@@ -424,22 +827,86 @@ app.get('/api/server/:registryName', (req, res) => {
   const name = decodeURIComponent(req.params.registryName);
   const provider = providers.find(p => p.registryName === name);
   if (!provider) return res.status(404).json({ error: 'Provider not found' });
+  sendSnapshot(req, res, () => buildProviderDetail(provider));
+});
 
-  const remoteDetails = provider.remotes.map(r => buildRemoteDetail(provider, r));
-  const remoteStatuses = remoteDetails.map(r => r.status);
+// Long-term history (hourly/daily rollups) for a single provider
+app.get('/api/server/:registryName/history', (req, res) => {
+  const name = decodeURIComponent(req.params.registryName);
+  const provider = providers.find(p => p.registryName === name);
+  if (!provider) return res.status(404).json({ error: 'Provider not found' });
+
+  const range = req.query.range || '7d';
+  if (!RANGES[range]) {
+    return res.status(400).json({ error: `Invalid range, expected one of: ${Object.keys(RANGES).join(', ')}` });
+  }
+
+  const remotes = provider.remotes.map(remote => {
+    const series = queryRollups(historyKey(provider.registryName, remote.url), range, STATUS_PRIORITY);
+    return {
+      remoteName: remote.remoteName,
+      url: remote.url,
+      uptimePercent: series.uptimePercent,
+      buckets: series.buckets,
+    };
+  });
 
   res.json({
     registryName: provider.registryName,
-    registryVersion: provider.registryVersion,
-    displayName: provider.displayName,
-    sseOnly: provider.sseOnly,
-    aggregateStatus: worstStatus(remoteStatuses),
-    healthIcons: computeHealthIcons(remoteStatuses),
-    remoteCount: provider.remotes.length,
-    remotes: remoteDetails,
+    range,
+    resolution: RANGES[range].resolution,
+    uptimePercent: averageUptime(remotes.map(r => r.uptimePercent)),
+    remotes,
   });
 });
 
+// Incidents for a single provider, newest first
+app.get('/api/server/:registryName/incidents', (req, res) => {
+  const name = decodeURIComponent(req.params.registryName);
+  const provider = providers.find(p => p.registryName === name);
+  if (!provider) return res.status(404).json({ error: 'Provider not found' });
+
+  const remoteNames = new Map(provider.remotes.map(r => [r.url, r.remoteName]));
+  const incidents = listIncidents({ registryName: name }).map(i => ({
+    ...i,
+    remoteName: remoteNames.get(i.url) ?? null,
+  }));
+  res.json(incidents);
+});
+
+// Latest tool catalog per remote
+app.get('/api/server/:registryName/tools', (req, res) => {
+  const name = decodeURIComponent(req.params.registryName);
+  const provider = providers.find(p => p.registryName === name);
+  if (!provider) return res.status(404).json({ error: 'Provider not found' });
+
+  res.json({
+    registryName: provider.registryName,
+    remotes: provider.remotes.map(remote => ({
+      remoteName: remote.remoteName,
+      url: remote.url,
+      catalog: getCatalog(historyKey(provider.registryName, remote.url)),
+    })),
+  });
+});
+
+// Tool additions/removals/schema changes, newest first across all remotes
+app.get('/api/server/:registryName/tools/changes', (req, res) => {
+  const name = decodeURIComponent(req.params.registryName);
+  const provider = providers.find(p => p.registryName === name);
+  if (!provider) return res.status(404).json({ error: 'Provider not found' });
+
+  const changes = provider.remotes.flatMap(remote =>
+    listToolChanges(historyKey(provider.registryName, remote.url)).map(c => ({
+      remoteName: remote.remoteName,
+      url: remote.url,
+      ...c,
+    }))
+  );
+  changes.sort((a, b) => b.timestamp.localeCompare(a.timestamp));
+  res.json(changes);
+});
+
 // Trigger a full probe for a single provider (no short-circuit)
 app.post('/api/server/:registryName/probe', async (req, res) => {
   const name = decodeURIComponent(req.params.registryName);
@@ -447,6 +914,8 @@ app.post('/api/server/:registryName/probe', async (req, res) => {
   if (!provider) return res.status(404).json({ error: 'Provider not found' });
 
   await probeProviderFull(provider);
+  // The detail view reloads right after this
+  markChanged(name, { immediate: true });
 
   const remoteDetails = provider.remotes.map(r => buildRemoteDetail(provider, r));
   const remoteStatuses = remoteDetails.map(r => r.status);
@@ -464,6 +933,7 @@ app.post('/api/server/:registryName/favorite', (req, res) => {
   const name = decodeURIComponent(req.params.registryName);
   const current = favoriteCounts.get(name) || 0;
   favoriteCounts.set(name, current + 1);
+  markChanged(name);
   res.json({ count: current + 1 });
 });
 
@@ -476,6 +946,7 @@ app.delete('/api/server/:registryName/favorite', (req, res) => {
   } else {
     favoriteCounts.delete(name);
   }
+  markChanged(name);
   res.json({ count: next });
 });
 
@@ -487,16 +958,349 @@ app.get('/api/favorites', (req, res) => {
   res.json(sorted);
 });
 
-// Changelog endpoint
-app.get('/api/changelog', (req, res) => {
-  const changelogFile = join(DATA_DIR, 'changelog.json');
-  if (!existsSync(changelogFile)) return res.json([]);
+// Incidents across all providers: ?active=true for open only, ?limit=N (default 100)
+app.get('/api/incidents', (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit || '100') || 100, 1000);
+  res.json(listIncidents({ activeOnly: req.query.active === 'true', limit }));
+});
+
+// computeChangelog() entries written by ingest, newest first
+function readChangelog() {
+  if (!existsSync(CHANGELOG_FILE)) return [];
   try {
-    const data = JSON.parse(readFileSync(changelogFile, 'utf-8'));
-    res.json(data);
+    return JSON.parse(readFileSync(CHANGELOG_FILE, 'utf-8'));
   } catch {
-    res.json([]);
+    return [];
   }
+}
+
+// Changelog endpoint
+app.get('/api/changelog', (req, res) => {
+  res.json(readChangelog());
+});
+
+// Live updates for the dashboard (see stream.js)
+app.get('/api/stream', (req, res) => {
+  addClient(req, res);
+});
+
+// --- Badges ---
+// Registry names contain slashes, so match the rest of the path
+app.get(/^\/badge\/(.+)\.svg$/, (req, res) => {
+  const type = req.query.type || 'status';
+  if (!BADGE_TYPES.includes(type)) {
+    return res.status(400).json({ error: `Invalid type, expected one of: ${BADGE_TYPES.join(', ')}` });
+  }
+  const provider = providersByName.get(req.params[0]);
+  const summary = provider ? buildProviderSummary(provider) : null;
+  const latencyStatus = summary?.worstLatencyMs != null
+    ? latencyTier(resolvePolicy(provider), summary.worstLatencyMs).status
+    : null;
+  const content = badgeContent(type, summary, latencyStatus);
+  const label = typeof req.query.label === 'string' ? req.query.label.slice(0, 40) : content.label;
+  const svg = renderBadge(label, content.message, content.color);
+
+  res.set({
+    'Cache-Control': `public, max-age=${BADGE_MAX_AGE_S}`,
+    ETag: `"${createHash('sha1').update(svg).digest('hex')}"`,
+  });
+  if (req.fresh) return res.status(304).end();
+  res.type('image/svg+xml; charset=utf-8').send(svg);
+});
+
+// --- Atom feeds ---
+const startedAt = Date.now();
+
+function baseUrl(req) {
+  return PUBLIC_URL || `${req.protocol}://${req.get('host')}`;
+}
+
+function describeRemote(registryName, url) {
+  const provider = providersByName.get(registryName);
+  const remote = provider?.remotes.find(r => r.url === url);
+  return remote ? { displayName: provider.displayName, remoteName: remote.remoteName } : null;
+}
+
+function sendFeed(req, res, feed) {
+  const updated = feedUpdated(feed.entries, startedAt);
+  res.set('Last-Modified', new Date(updated).toUTCString());
+  res.type('application/atom+xml; charset=utf-8').send(renderAtom({ ...feed, self: baseUrl(req) + req.path, updated }));
+}
+
+app.get('/feeds/changelog.xml', (req, res) => {
+  const base = baseUrl(req);
+  sendFeed(req, res, {
+    id: 'urn:mcpdd:feed:changelog',
+    title: 'mcpdd registry changelog',
+    link: `${base}/changelog`,
+    entries: changelogEntries(readChangelog(), base),
+  });
+});
+
+app.get('/feeds/status.xml', (req, res) => {
+  const base = baseUrl(req);
+  sendFeed(req, res, {
+    id: 'urn:mcpdd:feed:status',
+    title: 'mcpdd status changes',
+    link: `${base}/`,
+    entries: transitionEntries(listTransitions({ limit: FEED_LIMIT }), base, describeRemote),
+  });
+});
+
+// Registry names contain slashes, so match the rest of the path
+app.get(/^\/feeds\/server\/(.+)\.xml$/, (req, res) => {
+  const name = req.params[0];
+  const provider = providersByName.get(name);
+  if (!provider) return res.status(404).json({ error: 'Provider not found' });
+  const base = baseUrl(req);
+  sendFeed(req, res, {
+    id: `urn:mcpdd:feed:server:${encodeURIComponent(name)}`,
+    title: `${provider.displayName} status changes`,
+    link: `${base}/server/${encodeURIComponent(name)}`,
+    entries: transitionEntries(listTransitions({ registryName: name, limit: FEED_LIMIT }), base, describeRemote),
+  });
+});
+
+// --- Maintenance windows ---
+// Current and upcoming windows; ?all=true adds past ones
+app.get('/api/maintenance', (req, res) => {
+  res.json(listWindows({ current: req.query.all !== 'true' }));
+});
+
+// --- Admin API ---
+function requireAdmin(req, res, next) {
+  const { ok, status, error } = verifyAdmin(req);
+  if (!ok) {
+    if (status === 401) res.set('WWW-Authenticate', 'Bearer');
+    return res.status(status).json({ error });
+  }
+  next();
+}
+
+function isMonitoredTarget({ registryName, url }) {
+  if (registryName) return providersByName.has(registryName);
+  return providers.some(p => p.remotes.some(r => r.url === url));
+}
+
+function describeWindow(w) {
+  return `${w.registryName || w.url} ${w.start} to ${w.end}`;
+}
+
+app.get('/api/admin/maintenance', requireAdmin, (req, res) => {
+  res.json(listWindows());
+});
+
+app.post('/api/admin/maintenance', requireAdmin, (req, res) => {
+  const { window: created, error } = addWindow(req.body, isMonitoredTarget);
+  if (error) return res.status(400).json({ error });
+  persistMaintenance(MAINTENANCE_FILE);
+  markChanged(undefined, { immediate: true });
+  console.log(`Maintenance window ${created.id} declared: ${describeWindow(created)}`);
+  res.status(201).json(created);
+});
+
+app.patch('/api/admin/maintenance/:id', requireAdmin, (req, res) => {
+  const { window: updated, error, notFound } = updateWindow(req.params.id, req.body, isMonitoredTarget);
+  if (error) return res.status(notFound ? 404 : 400).json({ error });
+  persistMaintenance(MAINTENANCE_FILE);
+  markChanged(undefined, { immediate: true });
+  console.log(`Maintenance window ${updated.id} changed: ${describeWindow(updated)}`);
+  res.json(updated);
+});
+
+app.delete('/api/admin/maintenance/:id', requireAdmin, (req, res) => {
+  if (!removeWindow(req.params.id)) return res.status(404).json({ error: 'Maintenance window not found' });
+  persistMaintenance(MAINTENANCE_FILE);
+  markChanged(undefined, { immediate: true });
+  console.log(`Maintenance window ${req.params.id} removed`);
+  res.status(204).end();
+});
+
+// Manual providers (see overlay.js); every change is merged into the monitored list right away
+function saveOverlay(message) {
+  persistOverlay(CUSTOM_PROVIDERS_FILE);
+  console.log(message);
+  applyProviders();
+}
+
+function overlayStatus({ notFound, conflict }) {
+  if (notFound) return 404;
+  return conflict ? 409 : 400;
+}
+
+app.get('/api/admin/providers', requireAdmin, (req, res) => {
+  res.json(listCustomProviders());
+});
+
+app.get('/api/admin/providers/:registryName', requireAdmin, (req, res) => {
+  const provider = getCustomProvider(req.params.registryName);
+  if (!provider) return res.status(404).json({ error: 'Manual provider not found' });
+  res.json(provider);
+});
+
+app.post('/api/admin/providers', requireAdmin, (req, res) => {
+  const result = addProvider(req.body, name => registryProviders.some(p => p.registryName === name));
+  if (result.error) return res.status(overlayStatus(result)).json({ error: result.error });
+  saveOverlay(`Manual provider ${result.provider.registryName} added`);
+  res.status(201).json(result.provider);
+});
+
+app.patch('/api/admin/providers/:registryName', requireAdmin, (req, res) => {
+  const result = updateProvider(req.params.registryName, req.body);
+  if (result.error) return res.status(overlayStatus(result)).json({ error: result.error });
+  saveOverlay(`Manual provider ${req.params.registryName} changed${result.provider.disabled ? ' (disabled)' : ''}`);
+  res.json(result.provider);
+});
+
+app.delete('/api/admin/providers/:registryName', requireAdmin, (req, res) => {
+  if (!removeProvider(req.params.registryName)) return res.status(404).json({ error: 'Manual provider not found' });
+  saveOverlay(`Manual provider ${req.params.registryName} deleted`);
+  res.status(204).end();
+});
+
+app.post('/api/admin/providers/:registryName/remotes', requireAdmin, (req, res) => {
+  const result = addRemote(req.params.registryName, req.body);
+  if (result.error) return res.status(overlayStatus(result)).json({ error: result.error });
+  saveOverlay(`Remote ${req.body.remoteName} added to manual provider ${req.params.registryName}`);
+  res.status(201).json(result.provider);
+});
+
+app.patch('/api/admin/providers/:registryName/remotes/:remoteName', requireAdmin, (req, res) => {
+  const { registryName, remoteName } = req.params;
+  const result = updateRemote(registryName, remoteName, req.body);
+  if (result.error) return res.status(overlayStatus(result)).json({ error: result.error });
+  saveOverlay(`Remote ${remoteName} of manual provider ${registryName} changed`);
+  res.json(result.provider);
+});
+
+app.delete('/api/admin/providers/:registryName/remotes/:remoteName', requireAdmin, (req, res) => {
+  const { registryName, remoteName } = req.params;
+  const result = removeRemote(registryName, remoteName);
+  if (result.error) return res.status(overlayStatus(result)).json({ error: result.error });
+  saveOverlay(`Remote ${remoteName} of manual provider ${registryName} deleted`);
+  res.json(result.provider);
+});
+
+// --- Probe agents ---
+const AgentResultSchema = z.object({
+  registryName: z.string(),
+  url: z.string(),
+  // Only the fields quorum and the detail view use; anything else is dropped
+  check: z.object({
+    timestamp: z.number().int(),
+    status: z.enum(Object.keys(STATUS_PRIORITY)),
+    auth: z.string().nullable().optional(),
+    latencyMs: z.number().nullable().optional(),
+    latencyTier: z.string().nullable().optional(),
+    toolCount: z.number().int().nullable().optional(),
+    authenticated: z.boolean().nullable().optional(),
+    error: z.string().max(1000).nullable().optional(),
+  }),
+});
+// Allowed drift between an agent's check timestamp and our clock
+const AGENT_CLOCK_SKEW_MS = 60 * 1000;
+const MAX_REPORTED_REJECTIONS = 20;
+
+function requireAgent(req, res, next) {
+  const { agent, error } = verifyRequest(req);
+  if (!agent) return res.status(401).json({ error });
+  req.agent = agent;
+  next();
+}
+
+// Remotes for an agent to probe; per-provider policies only where they differ from the global one
+app.get('/api/agent/assignment', requireAgent, (req, res) => {
+  noteActivity(req.agent, { lastAssignmentAt: Date.now() });
+  res.json({
+    agent: req.agent,
+    probeIntervalMs: PROBE_INTERVAL_MS,
+    policy: getGlobalPolicy(),
+    remotes: providers.flatMap(provider => provider.remotes.map(remote => ({
+      registryName: provider.registryName,
+      url: remote.url,
+      transport: remote.transport,
+      expectAuth: remote.expectAuth,
+      ...(remote.secretHeaders ? { secretHeaders: remote.secretHeaders } : {}),
+      ...(remote.sseUrl ? { sseUrl: remote.sseUrl } : {}),
+      ...(provider.healthPolicy ? { policy: resolvePolicy(provider) } : {}),
+    }))),
+  });
+});
+
+// Results from an agent: { results: [{ registryName, url, check }] }
+app.post('/api/agent/results', requireAgent, (req, res) => {
+  const results = req.body?.results;
+  if (!Array.isArray(results)) return res.status(400).json({ error: 'Expected { results: [...] }' });
+
+  let accepted = 0;
+  const rejected = [];
+  const reject = (index, error) => {
+    if (rejected.length < MAX_REPORTED_REJECTIONS) rejected.push({ index, error });
+  };
+  results.forEach((entry, index) => {
+    const parsed = AgentResultSchema.safeParse(entry);
+    if (!parsed.success) return reject(index, 'invalid result');
+    const { registryName, url, check } = parsed.data;
+    const key = historyKey(registryName, url);
+    if (!history.has(key)) return reject(index, 'remote is not monitored');
+    if (check.timestamp > Date.now() + AGENT_CLOCK_SKEW_MS) return reject(index, 'timestamp is in the future');
+    if (check.error) check.error = redact(check.error);
+    reportVantage(key, req.agent, check);
+    markChanged(registryName);
+    accepted++;
+  });
+
+  const rejectedCount = results.length - accepted;
+  noteActivity(req.agent, { lastResultsAt: Date.now(), accepted, rejected: rejectedCount });
+  if (rejectedCount > 0) console.error(`Agent ${req.agent}: rejected ${rejectedCount} of ${results.length} result(s)`);
+  res.json({ accepted, rejected });
+});
+
+// Configured agents and when they last checked in
+app.get('/api/agents', (req, res) => {
+  res.json({
+    localVantage: LOCAL_PROBES ? LOCAL_VANTAGE : null,
+    quorum: QUORUM,
+    agents: listAgents(),
+  });
+});
+
+// Global health policy (drives the dashboard legend)
+app.get('/api/policy', (req, res) => {
+  res.json(getGlobalPolicy());
+});
+
+// Prometheus metrics
+app.get('/metrics', (req, res) => {
+  const remotes = [];
+  for (const provider of providers) {
+    for (const remote of provider.remotes) {
+      const checks = history.get(historyKey(provider.registryName, remote.url)) || [];
+      const latest = checks.length > 0 ? checks[checks.length - 1] : null;
+      remotes.push({
+        registryName: provider.registryName,
+        remoteName: remote.remoteName,
+        url: remote.url,
+        status: latest ? latest.status : 'unknown',
+        latencyMs: latest ? latest.latencyMs : null,
+        toolCount: latest ? latest.toolCount : null,
+      });
+    }
+  }
+
+  res.type('text/plain; version=0.0.4; charset=utf-8');
+  res.send(renderMetrics({
+    remotes,
+    scheduler: {
+      ...schedulerStats(),
+      ...hostStats(),
+      inFlight: probesInFlight,
+      completedTotal: probesCompleted,
+      lastLagMs: lastSchedulerLagMs,
+    },
+    ingest: lastIngest,
+    stream: streamStats(),
+  }));
 });
 
 // SPA catch-all: serve index.html for client-side routes
@@ -508,16 +1312,30 @@ app.get('/changelog', (req, res) => {
 });
 
 // --- Start ---
-loadHistory();
+loadPolicy(HEALTH_POLICY_FILE);
+loadCredentials(SECRETS_FILE, providers.map(p => p.registryName));
+checkDeclaredHeaders(providers);
+await loadHistory();
+syncProbeSchedule();
+loadLongTermHistory();
 loadFavorites();
+loadIncidents(INCIDENTS_FILE, key => history.has(key));
+loadTransitionLog();
+loadMaintenance(MAINTENANCE_FILE);
+loadCatalogs(TOOLS_FILE, key => history.has(key));
+loadWebhooks(WEBHOOKS_FILE);
+loadHostLimits(HOST_LIMITS_FILE);
+loadAgents(AGENTS_FILE, [LOCAL_VANTAGE]);
+if (!LOCAL_PROBES && !hasAgents()) console.error('LOCAL_PROBES is off but no probe agents are configured; nothing will be probed');
 
 const totalRemotes = providers.reduce((s, p) => s + p.remotes.length, 0);
 app.listen(PORT, () => {
   console.log(`mcpdd running at http://localhost:${PORT}`);
-  console.log(`Monitoring ${providers.length} providers (${totalRemotes} remotes), probe every ${PROBE_INTERVAL_MS / 1000}s`);
+  console.log(`Monitoring ${providers.length} providers (${totalRemotes} remotes), default probe interval ${PROBE_INTERVAL_MS / 1000}s, ${egressSummary()}`);
 
-  probeAll();
-  setInterval(probeAll, PROBE_INTERVAL_MS);
+  dispatchDue();
+  setInterval(dispatchDue, SCHEDULER_TICK_MS);
+  setInterval(logSchedulerStatus, PROBE_INTERVAL_MS);
   setInterval(() => { persistHistory(); persistFavorites(); }, PERSIST_INTERVAL_MS);
 
   // Auto-ingest from MCP Registry
@@ -533,7 +1351,15 @@ app.listen(PORT, () => {
 // Graceful shutdown
 function shutdown() {
   console.log('\nShutting down...');
-  persistHistory();
+  try {
+    storage.close(history);
+  } catch (err) {
+    console.error(`Failed to persist history: ${err.message}`);
+  }
+  persistRollupsSync(ROLLUPS_FILE);
+  persistIncidents(INCIDENTS_FILE);
+  persistTransitions(TRANSITIONS_FILE);
+  persistCatalogs(TOOLS_FILE);
   persistFavorites();
   process.exit(0);
 }
@@ -0,0 +1,126 @@
+/**
+ * snapshot.js — Cached, versioned snapshots of the status API.
+ *
+ * /api/status and friends are polled by every open dashboard and by CI
+ * jobs, while the data behind them changes with each recorded check. So
+ * responses are served from a snapshot: per-provider values (summaries,
+ * list facts) are built once per snapshot version, and whole response
+ * bodies are cached per URL, plain and gzipped. Changes are marked as
+ * they happen, and a new version is published when a request comes in,
+ * at most every SNAPSHOT_MAX_AGE_MS — responses may lag a recorded check
+ * by that much. A provider list reload and the start of each clock hour
+ * (the hourly ticks move) publish a new version right away.
+ *
+ * Every body carries a weak ETag naming the version, so pollers that send
+ * If-None-Match get a 304 without anything being built.
+ */
+
+import { gzipSync } from 'zlib';
+import { createHash } from 'crypto';
+
+const MAX_AGE_MS = parseInt(process.env.SNAPSHOT_MAX_AGE_MS || '5000');
+const HOUR_MS = 60 * 60 * 1000;
+// Bodies smaller than this aren't worth compressing
+const MIN_GZIP_BYTES = 1024;
+// Cached bodies per version (distinct URLs: filters, pages, providers)
+const MAX_BODIES = 500;
+// ETags from before a restart must not match, since versions start over
+const BOOT_ID = Date.now().toString(36);
+
+let version = 0;
+let publishedAt = 0;
+let publishedHour = null;
+let changedAll = true;
+let publishNow = false;
+const changedNames = new Set();
+// registryName → { [kind]: value } for the current version
+const values = new Map();
+// cache key → { json, gzip }
+const bodies = new Map();
+
+/**
+ * Mark data behind the snapshot as changed.
+ * @param {string} [registryName] - The provider that changed; omit when all may have
+ * @param {Object} [opts]
+ * @param {boolean} [opts.immediate] - Publish on the next request, e.g. after a manual probe
+ *   whose caller reloads right away
+ */
+export function markChanged(registryName, { immediate = false } = {}) {
+  if (registryName === undefined) changedAll = true;
+  else changedNames.add(registryName);
+  if (immediate) publishNow = true;
+}
+
+/** The current snapshot version, publishing a new one if changes are due. */
+export function snapshotVersion() {
+  const now = Date.now();
+  const hour = Math.floor(now / HOUR_MS);
+  const changed = changedAll || hour !== publishedHour || changedNames.size > 0;
+  if (!changed) return version;
+  if (!changedAll && !publishNow && hour === publishedHour && now - publishedAt < MAX_AGE_MS) return version;
+
+  if (changedAll || hour !== publishedHour) {
+    values.clear();
+  } else {
+    for (const name of changedNames) values.delete(name);
+  }
+  bodies.clear();
+  changedAll = false;
+  publishNow = false;
+  changedNames.clear();
+  version++;
+  publishedAt = now;
+  publishedHour = hour;
+  return version;
+}
+
+/**
+ * A per-provider value from the current snapshot, built on first use.
+ * Used while building a sendSnapshot() body, which publishes the version.
+ * @param {string} registryName
+ * @param {string} kind - e.g. 'summary' or 'facts'
+ * @param {() => any} build
+ */
+export function snapshotValue(registryName, kind, build) {
+  let entry = values.get(registryName);
+  if (!entry) {
+    entry = {};
+    values.set(registryName, entry);
+  }
+  if (!(kind in entry)) entry[kind] = build();
+  return entry[kind];
+}
+
+/**
+ * Send a JSON response from the current snapshot: a 304 when If-None-Match
+ * names this version, otherwise the cached body, gzipped if the client
+ * accepts it.
+ *
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {() => Object} build - Builds the body; only called on a cache miss
+ */
+export function sendSnapshot(req, res, build) {
+  const v = snapshotVersion();
+  const key = req.originalUrl;
+  const tag = createHash('sha1').update(key).digest('base64url').slice(0, 16);
+  res.set({ ETag: `W/"${BOOT_ID}-${v}-${tag}"`, 'Cache-Control': 'no-cache' });
+  res.vary('Accept-Encoding');
+  if (req.fresh) return res.status(304).end();
+
+  let body = bodies.get(key);
+  if (!body) {
+    body = { json: JSON.stringify(build()), gzip: null };
+    if (bodies.size >= MAX_BODIES) bodies.delete(bodies.keys().next().value);
+    bodies.set(key, body);
+  }
+
+  res.type('json');
+  if (body.json.length >= MIN_GZIP_BYTES && req.acceptsEncodings('gzip', 'identity') === 'gzip') {
+    body.gzip ??= gzipSync(body.json);
+    res.set('Content-Encoding', 'gzip');
+    return res.send(body.gzip);
+  }
+  res.send(body.json);
+}
+
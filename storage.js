@@ -0,0 +1,218 @@
+/**
+ * storage.js — Pluggable persistence for raw probe history.
+ *
+ * Backends (selected with HISTORY_BACKEND):
+ *   log  — append-only JSON-lines log (data/history.log), one check per line,
+ *          written as each result is recorded and compacted in the background
+ *   json — whole-history snapshot to data/history.json (the original format,
+ *          kept for tests and small deployments)
+ *
+ * Both backends expose the same shape:
+ *   load(keep, maxAgeMs) → Promise<Map<key, CheckResult[]>>  (startup only)
+ *   append(key, check)                                (called from recordResult)
+ *   flush(history)       → Promise                     (periodic)
+ *   close(history)                                    (sync, on shutdown)
+ */
+
+import {
+  readFileSync, writeFileSync, mkdirSync, existsSync, renameSync,
+  openSync, writeSync, closeSync, createReadStream,
+} from 'fs';
+import { open, writeFile, rename } from 'fs/promises';
+import { join } from 'path';
+import { createInterface } from 'readline';
+
+/**
+ * @param {'log'|'json'} backend
+ * @param {Object} opts
+ * @param {string} opts.dataDir - Directory holding the history files
+ */
+export function createStorage(backend, { dataDir }) {
+  if (backend === 'json') return createJsonStorage(dataDir);
+  if (backend === 'log') return createLogStorage(dataDir);
+  throw new Error(`Unknown history backend: ${backend}`);
+}
+
+function readJsonHistory(file, keep, cutoff) {
+  const loaded = new Map();
+  const data = JSON.parse(readFileSync(file, 'utf-8'));
+  for (const [key, checks] of Object.entries(data)) {
+    if (keep(key)) loaded.set(key, checks.filter(c => c.timestamp > cutoff));
+  }
+  return loaded;
+}
+
+// --- JSON snapshot backend ---
+function createJsonStorage(dataDir) {
+  const file = join(dataDir, 'history.json');
+
+  function snapshot(history) {
+    const obj = {};
+    for (const [key, checks] of history) {
+      obj[key] = checks;
+    }
+    return JSON.stringify(obj);
+  }
+
+  return {
+    async load(keep, maxAgeMs) {
+      if (!existsSync(file)) return new Map();
+      const loaded = readJsonHistory(file, keep, Date.now() - maxAgeMs);
+      console.log(`Loaded history from ${file}`);
+      return loaded;
+    },
+
+    append() {
+      // Snapshot-only: nothing is written until the next flush
+    },
+
+    async flush(history) {
+      mkdirSync(dataDir, { recursive: true });
+      // Write to a temp file and rename so a crash never leaves a truncated snapshot
+      await writeFile(`${file}.tmp`, snapshot(history));
+      await rename(`${file}.tmp`, file);
+      console.log(`Persisted history to ${file}`);
+    },
+
+    close(history) {
+      mkdirSync(dataDir, { recursive: true });
+      writeFileSync(`${file}.tmp`, snapshot(history));
+      renameSync(`${file}.tmp`, file);
+      console.log(`Persisted history to ${file}`);
+    },
+  };
+}
+
+// --- Append-only log backend ---
+function createLogStorage(dataDir) {
+  const file = join(dataDir, 'history.log');
+  const legacyFile = join(dataDir, 'history.json');
+  let fd = null;
+  let appendedSinceCompaction = 0;
+  let compacting = null; // lines recorded while a compaction is writing, or null
+
+  function openLog() {
+    mkdirSync(dataDir, { recursive: true });
+    fd = openSync(file, 'a');
+  }
+
+  function line(key, check) {
+    return JSON.stringify([key, check]) + '\n';
+  }
+
+  /** Whether the log's last byte isn't a newline, as after a crash mid-write. */
+  async function hasPartialTail() {
+    const handle = await open(file, 'r');
+    try {
+      const { size } = await handle.stat();
+      if (size === 0) return false;
+      const { buffer } = await handle.read(Buffer.alloc(1), 0, 1, size - 1);
+      return buffer[0] !== 0x0a;
+    } finally {
+      await handle.close();
+    }
+  }
+
+  /** Rewrite the log from the live history so it only holds retained checks. */
+  async function compact(history) {
+    // Copy the arrays up front: history keeps changing while we await writes
+    const snapshot = [...history].map(([key, checks]) => [key, checks.slice()]);
+    compacting = [];
+
+    try {
+      const tmp = `${file}.tmp`;
+      const handle = await open(tmp, 'w');
+      try {
+        for (const [key, checks] of snapshot) {
+          if (checks.length === 0) continue;
+          await handle.write(checks.map(c => line(key, c)).join(''));
+        }
+      } finally {
+        await handle.close();
+      }
+
+      await rename(tmp, file);
+      closeSync(fd);
+      openLog();
+      // Re-append whatever was recorded after the snapshot was taken
+      for (const pending of compacting) writeSync(fd, pending);
+      appendedSinceCompaction = compacting.length;
+    } finally {
+      compacting = null;
+    }
+  }
+
+  return {
+    async load(keep, maxAgeMs) {
+      const cutoff = Date.now() - maxAgeMs;
+      let loaded = new Map();
+
+      let partialTail = false;
+
+      if (existsSync(file)) {
+        partialTail = await hasPartialTail();
+        let skipped = 0;
+        // Line by line: the log can outgrow the longest string V8 will hold
+        const lines = createInterface({ input: createReadStream(file, 'utf-8'), crlfDelay: Infinity });
+        for await (const raw of lines) {
+          if (!raw) continue;
+          let entry;
+          try {
+            entry = JSON.parse(raw);
+          } catch {
+            // A crash mid-write can leave a partial last line
+            skipped++;
+            continue;
+          }
+          const [key, check] = entry;
+          if (!keep(key) || check.timestamp <= cutoff) continue;
+          if (!loaded.has(key)) loaded.set(key, []);
+          loaded.get(key).push(check);
+        }
+        console.log(`Loaded history from ${file}${skipped ? ` (skipped ${skipped} malformed lines)` : ''}`);
+      } else if (existsSync(legacyFile)) {
+        // One-time migration from the JSON snapshot format
+        loaded = readJsonHistory(legacyFile, keep, cutoff);
+        mkdirSync(dataDir, { recursive: true });
+        const lines = [];
+        for (const [key, checks] of loaded) {
+          for (const check of checks) lines.push(line(key, check));
+        }
+        writeFileSync(file, lines.join(''));
+        renameSync(legacyFile, `${legacyFile}.migrated`);
+        console.log(`Migrated history from ${legacyFile} to ${file}`);
+      }
+
+      openLog();
+      // Terminate a partial last line so the next append starts cleanly
+      if (partialTail) writeSync(fd, '\n');
+      return loaded;
+    },
+
+    append(key, check) {
+      if (fd === null) openLog();
+      const entry = line(key, check);
+      writeSync(fd, entry);
+      if (compacting) compacting.push(entry);
+      appendedSinceCompaction++;
+    },
+
+    async flush(history) {
+      if (compacting) return;
+      // Compact once the log holds roughly as many stale lines as live ones
+      let live = 0;
+      for (const checks of history.values()) live += checks.length;
+      if (appendedSinceCompaction < live) return;
+
+      await compact(history);
+      console.log(`Compacted history log ${file} (${live} checks)`);
+    },
+
+    close() {
+      if (fd !== null) {
+        closeSync(fd);
+        fd = null;
+      }
+    },
+  };
+}
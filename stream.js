@@ -0,0 +1,123 @@
+/**
+ * stream.js — Server-Sent Events for live dashboard updates (/api/stream).
+ *
+ * Events, each with a JSON data payload:
+ *
+ *   result         — a check was recorded: { registryName, url, status, latencyMs,
+ *                    timestamp, provider } where provider is the same summary
+ *                    /api/status returns for it
+ *   probe-start    — a provider's scheduled probe started: { registryName }
+ *   probe-finish   — it finished: { registryName, durationMs, nextCheck }
+ *   ingest-start   — auto-ingest started: { at }
+ *   ingest-finish  — it finished: { at, success, providerCount, added, removed, changed };
+ *                    the provider list may have changed, so refetch /api/status
+ *   resync         — events were missed (reconnected too late to replay them):
+ *                    refetch /api/status
+ *
+ * Every event has an id. A client that reconnects with Last-Event-ID gets
+ * the events it missed replayed from a short buffer, or a resync when they
+ * have fallen out of it or wouldn't fit in MAX_BUFFERED_BYTES. A comment
+ * line every 25 seconds keeps proxies from closing idle connections.
+ *
+ * A client that doesn't keep up (more than MAX_BUFFERED_BYTES waiting to be
+ * written to it) is dropped rather than buffered for without limit;
+ * EventSource reconnects and catches up through Last-Event-ID.
+ */
+
+const MAX_CLIENTS = parseInt(process.env.MAX_STREAM_CLIENTS || '1000');
+const HEARTBEAT_MS = 25000;
+const REPLAY_BUFFER = 1000;
+// Output a client may have waiting on its socket before it's dropped, and the most a replay may send
+const MAX_BUFFERED_BYTES = 1024 * 1024;
+// Client reconnect delay suggested to EventSource
+const RETRY_MS = 5000;
+
+const clients = new Set();
+// Recent events for replay: { id, frame, bytes }
+const buffer = [];
+let nextId = 1;
+let heartbeat = null;
+
+function frame(id, event, data) {
+  return `id: ${id}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+}
+
+/** Write to a client, dropping it once too much output is waiting for it. */
+function send(res, text) {
+  res.write(text);
+  if (res.writableLength <= MAX_BUFFERED_BYTES) return;
+  clients.delete(res);
+  res.destroy();
+}
+
+/**
+ * Send an event to every connected client.
+ * @param {string} event
+ * @param {Object|(() => Object)} data - A function is only called when someone is listening
+ */
+export function broadcast(event, data) {
+  const id = nextId++;
+  // Still take an id, so a client reconnecting after this sees the gap
+  if (clients.size === 0) return;
+  const text = frame(id, event, typeof data === 'function' ? data() : data);
+  buffer.push({ id, frame: text, bytes: Buffer.byteLength(text) });
+  if (buffer.length > REPLAY_BUFFER) buffer.shift();
+  for (const res of clients) send(res, text);
+}
+
+/**
+ * Attach an SSE client.
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ */
+export function addClient(req, res) {
+  if (clients.size >= MAX_CLIENTS) {
+    return res.status(503).json({ error: 'Too many stream clients, poll /api/status instead' });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    // Don't let nginx buffer the stream
+    'X-Accel-Buffering': 'no',
+  });
+  res.flushHeaders();
+  res.write(`retry: ${RETRY_MS}\n\n`);
+
+  const lastId = parseInt(req.get('Last-Event-ID'));
+  if (Number.isFinite(lastId)) {
+    const missed = buffer.filter(e => e.id > lastId);
+    // Ids are consecutive, so a gap before the oldest buffered event means some were dropped
+    const complete = lastId >= nextId - 1 || (missed.length > 0 && missed[0].id === lastId + 1);
+    // A replay the client couldn't take without being dropped would only repeat on its next reconnect
+    const fits = missed.reduce((sum, e) => sum + e.bytes, 0) <= MAX_BUFFERED_BYTES;
+    if (complete && fits) {
+      for (const e of missed) res.write(e.frame);
+    } else {
+      res.write(frame(nextId++, 'resync', {}));
+    }
+  }
+
+  clients.add(res);
+  if (!heartbeat) {
+    heartbeat = setInterval(() => {
+      for (const client of clients) send(client, ': ping\n\n');
+    }, HEARTBEAT_MS);
+  }
+
+  req.on('close', () => {
+    clients.delete(res);
+    if (clients.size === 0) {
+      clearInterval(heartbeat);
+      heartbeat = null;
+      // Nobody is left to replay to
+      buffer.length = 0;
+    }
+  });
+}
+
+/** Connected clients, for /metrics. */
+export function streamStats() {
+  return { clients: clients.size };
+}
@@ -0,0 +1,121 @@
+/**
+ * transitions.js — Remote status transitions, for the status feeds.
+ *
+ * Every time a remote's recorded status changes (healthy → down, down →
+ * degraded, ...) a transition is logged with a stable id, so feed readers
+ * can tell entries apart across restarts. Checks with no verdict (unknown,
+ * rate-limited) are skipped: they neither change the status nor reset it.
+ * The first verdict for a remote only sets its baseline. Transitions are
+ * kept for 30 days (at most MAX_TRANSITIONS) in data/transitions.json.
+ */
+
+import { readFileSync, writeFileSync, mkdirSync, existsSync } from 'fs';
+import { dirname } from 'path';
+import { randomUUID } from 'crypto';
+import { NO_VERDICT } from './policy.js';
+
+const RETENTION_MS = 30 * 24 * 60 * 60 * 1000;
+const MAX_TRANSITIONS = 5000;
+
+// All transitions, oldest first: { id, registryName, url, from, to, at, error }
+let transitions = [];
+// Last verdict per "registryName|url"
+const lastStatus = new Map();
+
+/**
+ * Feed a recorded CheckResult into the transition log.
+ * @param {string} registryName
+ * @param {string} url - Remote URL
+ * @param {Object} check - CheckResult
+ * @returns {Object|null} The transition, if the status changed
+ */
+export function trackTransition(registryName, url, check) {
+  if (NO_VERDICT.has(check.status)) return null;
+
+  const key = `${registryName}|${url}`;
+  const previous = lastStatus.get(key);
+  lastStatus.set(key, check.status);
+  if (previous === undefined || previous === check.status) return null;
+
+  const transition = {
+    id: randomUUID(),
+    registryName,
+    url,
+    from: previous,
+    to: check.status,
+    at: check.timestamp,
+    error: check.error ?? null,
+  };
+  transitions.push(transition);
+  if (transitions.length > MAX_TRANSITIONS) transitions = transitions.slice(-MAX_TRANSITIONS);
+  return transition;
+}
+
+/**
+ * Set a remote's baseline without logging a transition, unless it already
+ * has one. Used at startup for remotes whose last status is only in history.
+ * @param {string} key - History key ("registryName|url")
+ * @param {string} status
+ */
+export function seedBaseline(key, status) {
+  if (!lastStatus.has(key) && !NO_VERDICT.has(status)) lastStatus.set(key, status);
+}
+
+/**
+ * Forget a retired remote's baseline. Its past transitions stay in the log.
+ * @param {string} key - History key ("registryName|url")
+ */
+export function retireTransitions(key) {
+  lastStatus.delete(key);
+}
+
+/**
+ * List transitions, newest first.
+ * @param {Object} [filter]
+ * @param {string} [filter.registryName]
+ * @param {number} [filter.limit]
+ */
+export function listTransitions(filter = {}) {
+  const result = [];
+  for (let i = transitions.length - 1; i >= 0; i--) {
+    const transition = transitions[i];
+    if (filter.registryName && transition.registryName !== filter.registryName) continue;
+    result.push(transition);
+    if (filter.limit && result.length >= filter.limit) break;
+  }
+  return result;
+}
+
+// --- Persistence ---
+/**
+ * @param {string} file - Path to transitions.json
+ * @param {(key: string) => boolean} keep - Whether a remote is still monitored
+ */
+export function loadTransitions(file, keep) {
+  try {
+    if (existsSync(file)) {
+      const cutoff = Date.now() - RETENTION_MS;
+      transitions = JSON.parse(readFileSync(file, 'utf-8')).filter(t => t.at > cutoff);
+      // The latest transition per remote is its baseline
+      for (const t of transitions) {
+        const key = `${t.registryName}|${t.url}`;
+        if (keep(key)) lastStatus.set(key, t.to);
+      }
+      console.log(`Loaded ${transitions.length} status transitions from ${file}`);
+    }
+  } catch (err) {
+    console.error(`Failed to load transitions: ${err.message}`);
+  }
+}
+
+export function persistTransitions(file) {
+  try {
+    const cutoff = Date.now() - RETENTION_MS;
+    transitions = transitions.filter(t => t.at > cutoff);
+    mkdirSync(dirname(file), { recursive: true });
+    writeFileSync(file, JSON.stringify(transitions));
+    console.log(`Persisted transitions to ${file}`);
+  } catch (err) {
+    console.error(`Failed to persist transitions: ${err.message}`);
+  }
+}
@@ -0,0 +1,270 @@
+/**
+ * webhooks.js — Alert webhooks on remote status transitions.
+ *
+ * Webhooks are configured in data/webhooks.json (or WEBHOOKS_FILE):
+ *
+ *   [
+ *     {
+ *       "id": "ops",                      // unique name, used in logs
+ *       "url": "https://example.com/hook",
+ *       "format": "json",                 // "json" | "slack" | "discord"
+ *       "registryName": "com.stripe/mcp", // optional; omit for all providers
+ *       "secret": "...",                  // optional; signs the payload
+ *       "failureThreshold": 3,            // consecutive failing checks before alerting
+ *       "alertOn": ["down"],              // statuses that count as failing
+ *       "notifyRecovery": true
+ *     }
+ *   ]
+ *
+ * Signed payloads carry X-Mcpdd-Timestamp and
+ * X-Mcpdd-Signature: sha256=HMAC_SHA256(secret, `${timestamp}.${body}`).
+ * Failed deliveries are retried with exponential backoff. Deliveries go
+ * through the egress policy (egress.js), like probes.
+ */
+
+import { readFileSync, existsSync } from 'fs';
+import { createHmac } from 'crypto';
+import { createServer } from 'http';
+import { egressFetch } from './egress.js';
+import { NO_VERDICT } from './policy.js';
+
+const DELIVERY_TIMEOUT_MS = 10000;
+const MAX_ATTEMPTS = 5;
+const RETRY_BASE_MS = 2000;
+
+let webhooks = [];
+// Debounce state per "webhookId|registryName|url"
+const states = new Map();
+// Pending deliveries: { webhook, event, attempt, nextAttemptAt }
+const queue = [];
+let queueTimer = null;
+
+/**
+ * Load webhook definitions from a JSON file. Invalid entries are skipped.
+ * @param {string} file
+ */
+export function loadWebhooks(file) {
+  webhooks = [];
+  if (!existsSync(file)) return;
+  try {
+    const data = JSON.parse(readFileSync(file, 'utf-8'));
+    for (const entry of data) {
+      if (!entry.id || !entry.url) {
+        console.error(`Skipping webhook without id/url: ${JSON.stringify(entry).substring(0, 80)}`);
+        continue;
+      }
+      setWebhook(entry);
+    }
+    console.log(`Loaded ${webhooks.length} webhook(s) from ${file}`);
+  } catch (err) {
+    console.error(`Failed to load webhooks: ${err.message}`);
+  }
+}
+
+/** Add or replace a webhook definition, filling in defaults. */
+export function setWebhook(entry) {
+  const webhook = {
+    format: 'json',
+    registryName: null,
+    secret: null,
+    failureThreshold: 1,
+    alertOn: ['down'],
+    notifyRecovery: true,
+    ...entry,
+  };
+  webhooks = webhooks.filter(w => w.id !== webhook.id);
+  webhooks.push(webhook);
+}
+
+/** Forget debounce state for a remote that is no longer monitored. */
+export function retireWebhookState(key) {
+  for (const stateKey of states.keys()) {
+    if (stateKey.endsWith(`|${key}`)) states.delete(stateKey);
+  }
+}
+
+/**
+ * Feed a recorded CheckResult through every matching webhook's debounce
+ * state and enqueue deliveries for any transitions.
+ *
+ * @param {string} registryName
+ * @param {string} url - Remote URL
+ * @param {Object} check - CheckResult from probeServer()
+ */
+export function observeCheck(registryName, url, check) {
+  // Short-circuited, never-probed and rate-limited results say nothing about the remote
+  if (NO_VERDICT.has(check.status)) return;
+
+  for (const webhook of webhooks) {
+    if (webhook.registryName && webhook.registryName !== registryName) continue;
+
+    const stateKey = `${webhook.id}|${registryName}|${url}`;
+    let state = states.get(stateKey);
+    if (!state) {
+      state = { failures: 0, firstFailureAt: null, alerting: false };
+      states.set(stateKey, state);
+    }
+
+    if (webhook.alertOn.includes(check.status)) {
+      state.failures++;
+      if (state.failures === 1) state.firstFailureAt = check.timestamp;
+      if (!state.alerting && state.failures >= webhook.failureThreshold) {
+        state.alerting = true;
+        enqueue(webhook, {
+          event: 'down',
+          registryName,
+          url,
+          status: check.status,
+          consecutiveFailures: state.failures,
+          since: new Date(state.firstFailureAt).toISOString(),
+          error: check.error || null,
+          timestamp: new Date(check.timestamp).toISOString(),
+        });
+      }
+    } else {
+      if (state.alerting && webhook.notifyRecovery) {
+        enqueue(webhook, {
+          event: 'recovered',
+          registryName,
+          url,
+          status: check.status,
+          consecutiveFailures: state.failures,
+          since: new Date(state.firstFailureAt).toISOString(),
+          downtimeMs: check.timestamp - state.firstFailureAt,
+          error: null,
+          timestamp: new Date(check.timestamp).toISOString(),
+        });
+      }
+      state.failures = 0;
+      state.firstFailureAt = null;
+      state.alerting = false;
+    }
+  }
+}
+
+// --- Payload formats ---
+function describe(event) {
+  if (event.event === 'down') {
+    return `:red_circle: ${event.registryName} is ${event.status} ` +
+      `(${event.consecutiveFailures} consecutive failed checks)` +
+      (event.error ? `: ${event.error}` : '') + `\n${event.url}`;
+  }
+  const minutes = Math.round(event.downtimeMs / 60000);
+  return `:green_circle: ${event.registryName} recovered (${event.status}) after ${minutes} min\n${event.url}`;
+}
+
+function formatPayload(webhook, event) {
+  if (webhook.format === 'slack') return { text: describe(event) };
+  if (webhook.format === 'discord') return { content: describe(event) };
+  return event;
+}
+
+function signedHeaders(webhook, body) {
+  const headers = { 'Content-Type': 'application/json', 'User-Agent': 'mcpdd-webhook' };
+  if (webhook.secret) {
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+    const signature = createHmac('sha256', webhook.secret).update(`${timestamp}.${body}`).digest('hex');
+    headers['X-Mcpdd-Timestamp'] = timestamp;
+    headers['X-Mcpdd-Signature'] = `sha256=${signature}`;
+  }
+  return headers;
+}
+
+// --- Delivery with retry queue ---
+function enqueue(webhook, event) {
+  queue.push({ webhook, event, attempt: 0, nextAttemptAt: Date.now() });
+  scheduleQueue(0);
+}
+
+function scheduleQueue(delayMs) {
+  if (queueTimer) return;
+  queueTimer = setTimeout(processQueue, delayMs);
+}
+
+async function deliver(webhook, event) {
+  const body = JSON.stringify(formatPayload(webhook, event));
+  const res = await egressFetch(webhook.url, {
+    method: 'POST',
+    headers: signedHeaders(webhook, body),
+    body,
+    signal: AbortSignal.timeout(DELIVERY_TIMEOUT_MS),
+  });
+  if (!res.ok) {
+    const err = new Error(`HTTP ${res.status}`);
+    // Other 4xx responses won't succeed on retry
+    err.retryable = res.status === 429 || res.status >= 500;
+    throw err;
+  }
+}
+
+async function processQueue() {
+  // Deliver in order per webhook: a pending retry holds back later events
+  // so a receiver never sees "recovered" before the matching "down"
+  const now = Date.now();
+  const blocked = new Set();
+  const due = [];
+  for (const item of queue) {
+    if (blocked.has(item.webhook.id)) continue;
+    if (item.nextAttemptAt > now) {
+      blocked.add(item.webhook.id);
+      continue;
+    }
+    due.push(item);
+  }
+
+  for (const item of due) {
+    if (blocked.has(item.webhook.id)) continue;
+    item.attempt++;
+    try {
+      await deliver(item.webhook, item.event);
+      queue.splice(queue.indexOf(item), 1);
+      console.log(`  webhook ${item.webhook.id}: delivered ${item.event.event} for ${item.event.registryName}`);
+    } catch (err) {
+      const retryable = err.retryable !== false;
+      if (!retryable || item.attempt >= MAX_ATTEMPTS) {
+        queue.splice(queue.indexOf(item), 1);
+        console.error(`  webhook ${item.webhook.id}: giving up on ${item.event.event} for ${item.event.registryName} after ${item.attempt} attempt(s): ${err.message}`);
+      } else {
+        item.nextAttemptAt = Date.now() + RETRY_BASE_MS * 2 ** (item.attempt - 1);
+        blocked.add(item.webhook.id);
+        console.error(`  webhook ${item.webhook.id}: attempt ${item.attempt} failed (${err.message}), retrying`);
+      }
+    }
+  }
+
+  queueTimer = null;
+  if (queue.length > 0) {
+    const next = Math.min(...queue.map(item => item.nextAttemptAt));
+    scheduleQueue(Math.max(0, next - Date.now()));
+  }
+}
+
+// Self-test when run directly: node webhooks.js
+// Starts a local HTTP stand-in, drives a down → recovered transition through it.
+// The stand-in is on loopback: run with EGRESS_MODE=internal EGRESS_ALLOW=127.0.0.1.
+if (process.argv[1] && process.argv[1].endsWith('webhooks.js')) {
+  let requests = 0;
+  const standIn = createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      requests++;
+      // Fail the first delivery to exercise the retry queue
+      const status = requests === 1 ? 503 : 200;
+      console.log(`stand-in got ${req.headers['x-mcpdd-signature'] || 'unsigned'} → ${status}: ${body}`);
+      res.writeHead(status).end();
+      if (requests === 3) standIn.close(() => process.exit(0));
+    });
+  });
+
+  standIn.listen(0, () => {
+    const url = `http://127.0.0.1:${standIn.address().port}/hook`;
+    setWebhook({ id: 'self-test', url, secret: 'test', failureThreshold: 2 });
+    const checks = ['healthy', 'down', 'down', 'down', 'healthy'];
+    checks.forEach((status, i) => observeCheck('test/server', 'https://example.com/mcp', {
+      timestamp: Date.now() + i * 60000,
+      status,
+      error: status === 'down' ? 'fetch failed' : null,
+    }));
+  });
+}